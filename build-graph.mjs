@@ -1,410 +1,332 @@
 import fs from "fs";
 import path from "path";
-import { parse } from "csv-parse/sync";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+import { createRequire } from "module";
+import {
+  parseSynonyms,
+  parsePolicy,
+  parseConfig,
+  parseProducts,
+  buildTagReport,
+  buildGraph,
+  buildDiffGraph,
+  layoutGraph,
+  parsePositions,
+  describePolicy,
+  describeChanges,
+  FORMATS,
+  RENDERERS,
+  pickRenderer,
+  ASSETS,
+  RENDERER_ASSETS,
+  SITE_DATA_DIR,
+  renderSite,
+} from "./lib/index.mjs";
 
 /**
  * Usage:
- *   node build-graph.mjs <input.csv> <output.html>
+ *   node build-graph.mjs <input.csv> <output.html> [options]
+ *   node build-graph.mjs <input.csv> --out-dir <dir> [options]
+ *   node build-graph.mjs <input.csv> --report
+ *   node build-graph.mjs diff <old.csv> <new.csv> <output.html> [--changes <changes.json>]
+ *
+ * Options:
+ *   --attribute-tags    also draw "KEY:value" attribute tags as tag nodes
+ *   --synonyms <file>   JSON or CSV file folding DE/FR/EN tag variants into one node
+ *   --policy <file>     JSON tag policy: drop tags, or turn them into badges, attributes
+ *                       or a hidden-by-default layer
+ *   --report            print near-duplicate and single-use tags instead of writing HTML
+ *   --layer <name>      add a node layer from a column: vendor, type, category
+ *                       (repeatable or comma-separated, e.g. --layer vendor,category)
+ *   --projection products        link products directly by tag similarity (no tag nodes)
+ *   --projection tags            link tags that share products (no product nodes)
+ *   --similarity jaccard|cosine  similarity measure for the product projection (default: jaccard)
+ *   --min-similarity <n>         drop product pairs below this similarity (default: 0.2)
+ *   --association count|lift|pmi edge weight for the tag projection (default: count)
+ *   --min-support <n>            drop tag pairs shared by fewer products (default: 2)
+ *   --top-k <n>                  strongest links kept per node in a projection (default: 5)
+ *   --clusters          detect communities (Louvain), colour nodes by cluster, add a cluster legend
+ *   --changes <file>    diff only: where to write the JSON change log
+ *                       (default: <output>.changes.json)
+ *   --format <name>     html (default), graphml, gexf, cytoscape, json or edgelist
+ *   --config <file>     graph.config.json or .mjs: columns, tag separator, group shapes and
+ *                       colours, physics, layout, page title, output path and attribute prefixes
+ *   --browser-layout    leave the force layout to the page instead of computing node
+ *                       positions at build time
+ *   --renderer <name>   html page: canvas (vis-network, all features), webgl (sigma.js, for
+ *                       big catalogs) or auto (default: webgl above 3000 nodes)
+ *   --inline-assets     embed the page's libraries from node_modules instead of loading them
+ *                       from unpkg, so the page works offline
+ *   --compress          gzip the node and edge data embedded in the page (decoded on load)
+ *   --out-dir <dir>     write <dir>/index.html plus the node and edge data as JSON files
+ *                       in <dir>/data/, fetched by the page (serve the folder over HTTP)
+ *   --shop-domain <domain>   the shop's domain (e.g. london-tea.myshopify.com): storefront and
+ *                       Shopify admin links in the page's product panel
+ *   --seed-positions <file>  keep node positions from an earlier build: the page's
+ *                       "Export positions" file, a previous HTML, JSON or Cytoscape
+ *                       output, or an --out-dir folder; only new nodes are placed
+ *
+ * The work is done by the library in lib/ (see lib/index.mjs); this file only
+ * reads the input files, calls it and writes the output.
  *
  * Example:
  *   node build-graph.mjs "London-Tea-export-Products - products_export_1.csv" graph.html
+ *   node build-graph.mjs "London-Tea-export-Products - products_export_1.csv" graph.gexf --format gexf
  */
 
 // ----------- CLI ARGS -----------
-const [, , INPUT = "products.csv", OUTPUT = "index.html"] = process.argv;
-
-// ----------- Helpers -----------
-const normalize = (s) => (s ?? "").toString().trim();
-const splitTags = (tagsCell) =>
-  normalize(tagsCell)
-    .split(",") // Shopify default; change to /[,;|]/ if needed
-    .map((t) => t.trim())
-    .filter(Boolean);
-
-const idSafe = (s) =>
-  normalize(s)
-    .toLowerCase()
-    .replace(/\s+/g, "-")
-    .replace(/[^a-z0-9-_:.]/g, "");
-
-// ----------- Read CSV -----------
-const csvRaw = fs.readFileSync(INPUT, "utf8");
-const records = parse(csvRaw, {
-  columns: true,
-  skip_empty_lines: true,
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "attribute-tags": { type: "boolean", default: false },
+    synonyms: { type: "string" },
+    policy: { type: "string" },
+    report: { type: "boolean", default: false },
+    layer: { type: "string", multiple: true, default: [] },
+    projection: { type: "string" },
+    similarity: { type: "string", default: "jaccard" },
+    "min-similarity": { type: "string", default: "0.2" },
+    "top-k": { type: "string", default: "5" },
+    association: { type: "string", default: "count" },
+    "min-support": { type: "string", default: "2" },
+    clusters: { type: "boolean", default: false },
+    changes: { type: "string" },
+    format: { type: "string", default: "html" },
+    config: { type: "string" },
+    "browser-layout": { type: "boolean", default: false },
+    "seed-positions": { type: "string" },
+    renderer: { type: "string", default: "auto" },
+    "inline-assets": { type: "boolean", default: false },
+    compress: { type: "boolean", default: false },
+    "out-dir": { type: "string" },
+    "shop-domain": { type: "string" },
+  },
 });
-
-// Shopify usually: Title, Handle, Tags
-const titleKey = Object.keys(records[0] || {}).find(
-  (k) => k.toLowerCase() === "title"
-);
-const handleKey = Object.keys(records[0] || {}).find(
-  (k) => k.toLowerCase() === "handle"
-);
-const tagsKey = Object.keys(records[0] || {}).find(
-  (k) => k.toLowerCase() === "tags"
-);
-
-if (!titleKey || !tagsKey) {
-  console.error("❌ Could not find 'Title' and/or 'Tags' columns in CSV headers.");
-  process.exit(1);
-}
-
-// ----------- Build Graph (nodes + edges) -----------
-/**
- * Nodes:
- *  - Product (group: 'product')
- *  - Tag     (group: 'tag')
- * Edges:
- *  - Product -> Tag
- */
-const nodesMap = new Map(); // id -> node
-const edges = [];
-
-const tagId = (t) => `tag:${idSafe(t)}`;
-
-let productCount = 0;
-let edgeCount = 0;
-
-for (const row of records) {
-  const title = normalize(row[titleKey]);
-  if (!title) continue;
-
-  const handle = handleKey ? normalize(row[handleKey]) : "";
-  const pId = handle ? `product:${idSafe(handle)}` : `product:${idSafe(title)}`;
-  const tags = splitTags(row[tagsKey]);
-
-  if (!nodesMap.has(pId)) {
-    nodesMap.set(pId, {
-      id: pId,
-      label: title,
-      title: `<b>Product</b><br/>${title}${handle ? `<br/><i>${handle}</i>` : ""}`,
-      group: "product",
-      shape: "dot",
-      value: 1,
-    });
-    productCount++;
+const DIFF = positionals[0] === "diff";
+const [OLD_INPUT, INPUT = "products.csv", OUTPUT_ARG] = DIFF ? positionals.slice(1) : [null, ...positionals];
+
+// Library errors are plain Errors; the CLI prints them and exits
+const attempt = (fn, context) => {
+  try {
+    return fn();
+  } catch (err) {
+    console.error(`❌ ${context ? `${context}: ` : ""}${err.message}`);
+    process.exit(1);
   }
-
-  for (const t of tags) {
-    const tid = tagId(t);
-    if (!nodesMap.has(tid)) {
-      nodesMap.set(tid, {
-        id: tid,
-        label: t,
-        title: `<b>Tag</b><br/>${t}`,
-        group: "tag",
-        shape: "diamond", // change back to "hexagon" if your vis version supports it
-        value: 1,
-      });
-    }
-    edges.push({ from: pId, to: tid });
-    edgeCount++;
+};
+
+// ----------- Config (--config) -----------
+// .mjs/.js configs are imported (default export), anything else is read as JSON
+const loadConfig = async (file) => {
+  try {
+    if (/\.m?js$/i.test(file)) return (await import(pathToFileURL(path.resolve(file)).href)).default;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`❌ Could not read config from ${file}: ${err.message}`);
+    process.exit(1);
   }
+};
+const rawConfig = opts.config ? await loadConfig(opts.config) : null;
+const config = rawConfig ? attempt(() => parseConfig(rawConfig), opts.config) : {};
+
+// Output format -> default file name
+const DEFAULT_OUTPUTS = {
+  html: "index.html",
+  graphml: "graph.graphml",
+  gexf: "graph.gexf",
+  cytoscape: "graph.cyjs",
+  json: "graph.json",
+  edgelist: "edges.csv",
+};
+const FORMAT = opts.format.toLowerCase();
+if (!FORMATS[FORMAT]) {
+  console.error(`❌ Unknown --format "${opts.format}". Use one of: ${Object.keys(FORMATS).join(", ")}.`);
+  process.exit(1);
+}
+const OUT_DIR = opts["out-dir"];
+if (OUT_DIR && FORMAT !== "html") {
+  console.error("❌ --out-dir writes the HTML page and its data files; drop --format or --out-dir.");
+  process.exit(1);
+}
+if (OUT_DIR && OUTPUT_ARG) {
+  console.error(`❌ Give either an output file (${OUTPUT_ARG}) or --out-dir, not both.`);
+  process.exit(1);
+}
+if (OUT_DIR && opts.compress) {
+  console.error("❌ --compress is for data embedded in the page; with --out-dir let the web server compress the data files.");
+  process.exit(1);
+}
+// config "output" is the HTML page; exports keep their own default names
+const OUTPUT = OUT_DIR
+  ? path.join(OUT_DIR, "index.html")
+  : (OUTPUT_ARG ?? (FORMAT === "html" ? config.output : undefined) ?? DEFAULT_OUTPUTS[FORMAT]);
+
+const RENDERER = opts.renderer.toLowerCase();
+if (RENDERER !== "auto" && !RENDERERS[RENDERER]) {
+  console.error(`❌ Unknown --renderer "${opts.renderer}". Use one of: auto, ${Object.keys(RENDERERS).join(", ")}.`);
+  process.exit(1);
+}
+if (opts["browser-layout"] && RENDERER === "webgl") {
+  console.error("❌ The WebGL page draws the build-time layout; drop --browser-layout.");
+  process.exit(1);
+}
+if (opts["browser-layout"] && opts["seed-positions"]) {
+  console.error("❌ --seed-positions needs the build-time layout; drop --browser-layout.");
+  process.exit(1);
 }
 
-// ----------- HTML Template with embedded data -----------
-const html = `<!doctype html>
-<html lang="en">
-<head>
-<meta charset="utf-8" />
-<title>Shopify Product–Tag Graph</title>
-<meta name="viewport" content="width=device-width, initial-scale=1" />
-<style>
-  html, body { height: 100%; margin: 0; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; }
-  header { padding: 10px 12px; border-bottom: 1px solid #e5e5e5; display:flex; gap:12px; align-items:center; flex-wrap:wrap; }
-  header .stats { margin-left: auto; font-size: 12px; opacity: 0.8; }
-  #network { width: 100%; height: calc(100% - 58px); }
-  input[type="search"] { padding: 8px 10px; border: 1px solid #ccc; border-radius: 8px; min-width: 260px; }
-  button, select, label { font-size: 14px; }
-  .legend { display:flex; gap:16px; align-items:center; font-size: 13px; }
-  .badge { display:inline-flex; align-items:center; gap:6px; }
-  .dot { width:10px; height:10px; border-radius:50%; display:inline-block; background:#6baed6; }
-  .diamond { width:12px; height:12px; display:inline-block; transform:rotate(45deg); background:#fdae6b; }
-
-  /* Loading overlay */
-  #loading {
-    position: fixed; inset: 0;
-    background: rgba(255,255,255,0.96);
-    display: flex; align-items: center; justify-content: center;
-    z-index: 9999; flex-direction: column; gap: 10px;
-    transition: opacity 200ms ease;
-  }
-  #loading.hide { opacity: 0; pointer-events: none; }
-  .load-title { font-weight: 600; }
-  .progress-wrap {
-    width: min(560px, 90vw);
-    height: 10px;
-    background: #eee;
-    border-radius: 999px;
-    overflow: hidden;
-  }
-  .progress-bar {
-    height: 100%; width: 0%;
-    background: #3b82f6;
-    transition: width 60ms linear;
-  }
-  .progress-text { font-size: 12px; opacity: 0.8; }
-</style>
-</head>
-<body>
-<header>
-  <strong>Product–Tag Mindmap</strong>
-
-  <input id="search" type="search" placeholder="Search product or tag..." />
-
-  <label><input type="checkbox" id="physics" checked /> Physics</label>
-
-  <select id="layout">
-    <option value="force" selected>Force (default)</option>
-    <option value="hier">Hierarchical</option>
-  </select>
-
-  <button id="fit">Fit to screen</button>
-
-  <div class="legend">
-    <span class="badge"><span class="dot"></span>Products</span>
-    <span class="badge"><span class="diamond"></span>Tags</span>
-  </div>
-
-  <div class="stats">${productCount} products • ${nodesMap.size - productCount} tags • ${edgeCount} edges</div>
-</header>
-<div id="network"></div>
-
-<!-- Loading overlay -->
-<div id="loading">
-  <div class="load-title">Building graph…</div>
-  <div class="progress-wrap"><div class="progress-bar" id="progressBar"></div></div>
-  <div class="progress-text" id="progressText">Loading nodes: 0 / 0</div>
-</div>
-
-<!-- vis-network -->
-<script src="https://unpkg.com/vis-network@9.1.9/standalone/umd/vis-network.min.js"></script>
-<script>
-  // ---- Data embedded ----
-  const initialNodes = ${JSON.stringify(Array.from(nodesMap.values()))};
-  const initialEdges = ${JSON.stringify(edges)};
-
-  // Progressive loading config
-  const BATCH_SIZE = 400; // tune: bigger=faster, smaller=smoother
-
-  const container = document.getElementById('network');
-
-  // Start with empty datasets and progressively add
-  const data = {
-    nodes: new vis.DataSet([]),
-    edges: new vis.DataSet([]),
-  };
-
-  // Helper: freeze current layout (keep physics look but stop moving)
-  function freezeLayout(network, data) {
-    network.stopSimulation();
-    const ids = data.nodes.getIds();
-    const pos = network.getPositions(ids); // { id: {x, y} }
-    const updates = ids.map(id => ({ id, x: pos[id].x, y: pos[id].y }));
-    data.nodes.update(updates);
-    network.setOptions({ physics: { enabled: false } });
-  }
-
-  const commonOptions = {
-    interaction: {
-      hover: true,
-      multiselect: true,
-      dragNodes: true,
-      navigationButtons: true,
-      keyboard: { enabled: true },
-    },
-    nodes: {
-      font: { size: 12 },
-      scaling: { min: 10, max: 30 },
-    },
-    edges: {
-      arrows: { to: false },
-      smooth: { type: 'dynamic' },
-      color: { color: "#e5e7eb", opacity: 0.7 },
-      selectionWidth: 3,
-    },
-    groups: {
-      product: { color: { background: '#6baed6', border: '#3182bd' } },
-      tag:     { color: { background: '#fdae6b', border: '#e6550d' } },
-    },
-    physics: {
-      enabled: true,
-      solver: 'forceAtlas2Based',
-      forceAtlas2Based: {
-        gravitationalConstant: -50,
-        centralGravity: 0.01,
-        springLength: 120,
-        springConstant: 0.08,
-        avoidOverlap: 0.1
-      },
-      stabilization: { iterations: 300 }
-    },
-    layout: { hierarchical: { enabled: false } }
-  };
-
-  let network = null;
-
-  // ---- Loading UI ----
-  const loadingEl = document.getElementById('loading');
-  const barEl = document.getElementById('progressBar');
-  const textEl = document.getElementById('progressText');
-  const totalNodes = initialNodes.length;
-  let loadedNodes = 0;
-
-  const updateProgress = () => {
-    const pct = totalNodes === 0 ? 100 : Math.round((loadedNodes / totalNodes) * 100);
-    barEl.style.width = pct + '%';
-    textEl.textContent = 'Loading nodes: ' + loadedNodes.toLocaleString() + ' / ' + totalNodes.toLocaleString();
-  };
-
-  // Add nodes in batches so the UI can update the counter smoothly
-  const addNodesInBatches = (startIndex = 0) => {
-    const end = Math.min(startIndex + BATCH_SIZE, totalNodes);
-    const chunk = initialNodes.slice(startIndex, end);
-    if (chunk.length) {
-      data.nodes.add(chunk);
-      loadedNodes += chunk.length;
-      updateProgress();
-    }
-    if (end < totalNodes) {
-      setTimeout(() => addNodesInBatches(end), 0);
-    } else {
-      // All nodes added — now create the network, add edges, stabilize, freeze, fit, hide loader
-      network = new vis.Network(container, data, commonOptions);
-      data.edges.add(initialEdges.map(e => ({ ...e, color: { color: "#e5e7eb" } })));
-
-      // After the force layout stabilizes, freeze it and hide loader
-      network.once('stabilizationIterationsDone', () => {
-        freezeLayout(network, data);
-        // Fit, then fade out loader on the next frame for smoother UX
-        network.once('afterDrawing', () => {
-          setTimeout(() => loadingEl.classList.add('hide'), 150);
-          fitVisible();
-        });
-      });
-    }
-  };
-
-  // Kick off progressive load
-  updateProgress();
-  addNodesInBatches(0);
-
-  // ---- Controls ----
-  const search = document.getElementById('search');
-  const physicsToggle = document.getElementById('physics');
-  const layoutSel = document.getElementById('layout');
-  const fitBtn = document.getElementById('fit');
-
-  const fitVisible = () => {
-    if (!network) return;
-    const visibleIds = data.nodes.get({ filter: n => !n.hidden, fields: ['id'] }).map(n => n.id);
-    if (visibleIds.length) {
-      network.fit({ nodes: visibleIds, animation: { duration: 600, easingFunction: 'easeInOutCubic' }});
-    }
-  };
+// "https://london-tea.ch/" -> "london-tea.ch"
+const SHOP_DOMAIN = opts["shop-domain"]?.trim().replace(/^https?:\/\//i, "").replace(/\/+$/, "");
+if (SHOP_DOMAIN !== undefined && !/^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?$/i.test(SHOP_DOMAIN)) {
+  console.error(`❌ --shop-domain expects a domain like london-tea.myshopify.com, not "${opts["shop-domain"]}".`);
+  process.exit(1);
+}
 
-  const highlight = (query) => {
-    if (!network) return;
-    const q = (query || '').trim().toLowerCase();
-    const allIds = data.nodes.getIds();
-    if (!q) {
-      data.nodes.update(allIds.map(id => ({ id, hidden: false, opacity: 1 })));
-      data.edges.update(data.edges.getIds().map(id => ({ id, hidden: false })));
-      fitVisible();
-      return;
-    }
-    const matches = data.nodes.get({
-      filter: n => (n.label || '').toLowerCase().includes(q),
-      fields: ['id'],
-    }).map(n => n.id);
+if (DIFF && positionals.length < 3) {
+  console.error("❌ Usage: node build-graph.mjs diff <old.csv> <new.csv> [output.html]");
+  process.exit(1);
+}
 
-    const keep = new Set(matches);
-    matches.forEach(mid => {
-      network.getConnectedNodes(mid).forEach(nid => keep.add(nid));
-    });
+// ----------- Options -----------
+const options = {
+  attributeTags: opts["attribute-tags"],
+  layers: opts.layer,
+  projection: opts.projection,
+  similarity: opts.similarity,
+  minSimilarity: Number(opts["min-similarity"]),
+  topK: Number(opts["top-k"]),
+  association: opts.association,
+  minSupport: Number(opts["min-support"]),
+  clusters: opts.clusters,
+  groups: config.groups,
+  prefixes: config.prefixes,
+};
+if (opts.synonyms) {
+  options.synonyms = attempt(
+    () =>
+      parseSynonyms(fs.readFileSync(opts.synonyms, "utf8"), {
+        format: path.extname(opts.synonyms).toLowerCase() === ".csv" ? "csv" : "json",
+      }),
+    `Could not read synonyms from ${opts.synonyms}`
+  );
+}
+if (opts.policy) {
+  options.policy = attempt(
+    () => parsePolicy(fs.readFileSync(opts.policy, "utf8")),
+    `Could not read tag policy from ${opts.policy}`
+  );
+}
+// An --out-dir folder keeps its nodes in the data files
+const readPositionsSource = (file) => {
+  if (!fs.statSync(file).isDirectory()) return fs.readFileSync(file, "utf8");
+  const dataDir = path.join(file, SITE_DATA_DIR);
+  const manifest = JSON.parse(fs.readFileSync(path.join(dataDir, "manifest.json"), "utf8"));
+  const nodes = manifest.shards.flatMap((s) => JSON.parse(fs.readFileSync(path.join(dataDir, s.file), "utf8")).nodes);
+  return JSON.stringify({ nodes });
+};
+const seedPositions = opts["seed-positions"]
+  ? attempt(
+      () => parsePositions(readPositionsSource(opts["seed-positions"])),
+      `Could not read positions from ${opts["seed-positions"]}`
+    )
+  : new Map();
 
-    data.nodes.update(allIds.map(id => ({ id, hidden: !keep.has(id) })));
-    data.edges.update(data.edges.getIds().map(eid => {
-      const e = data.edges.get(eid);
-      const show = keep.has(e.from) && keep.has(e.to);
-      return { id: eid, hidden: !show };
+// ----------- Read CSV -----------
+const readCatalog = (file) => {
+  const catalog = attempt(() => parseProducts(fs.readFileSync(file, "utf8"), {
+      layers: opts.layer,
+      source: file,
+      columns: config.columns,
+      separator: config.separator,
+      panelColumns: config.panelColumns,
     }));
-    fitVisible();
-  };
+  for (const warning of catalog.warnings) console.warn(`⚠️  ${warning}`);
+  return catalog;
+};
 
-  search.addEventListener('input', (e) => {
-    highlight(e.target.value);
-  });
+const catalog = readCatalog(INPUT);
 
-  // Physics toggle: re-enable to recompute; disable to freeze current positions
-  physicsToggle.addEventListener('change', (e) => {
-    const enabled = e.target.checked;
-    if (!network) return;
-    if (enabled) {
-      network.setOptions({ physics: { enabled: true } });
-    } else {
-      freezeLayout(network, data);
-    }
-  });
-
-  layoutSel.addEventListener('change', (e) => {
-    if (!network) return;
-    if (e.target.value === 'hier') {
-      network.setOptions({
-        layout: {
-          hierarchical: {
-            enabled: true,
-            direction: 'LR',
-            nodeSpacing: 200,
-            treeSpacing: 250,
-            levelSeparation: 200,
-          },
-        },
-        physics: { enabled: false },
-      });
-    } else {
-      network.setOptions({
-        layout: { hierarchical: { enabled: false } },
-        physics: { enabled: physicsToggle.checked }
-      });
-      if (!physicsToggle.checked) {
-        freezeLayout(network, data);
-      }
-    }
-    fitVisible();
-  });
-
-  fitBtn.addEventListener('click', fitVisible);
+if (opts.report) {
+  console.log(attempt(() => buildTagReport(catalog, { prefixes: config.prefixes })));
+  process.exit(0);
+}
 
-  // --- Highlight edges on node select ---
-  if (!network) {
-    // Just in case, bind after network creation as soon as it's ready
-    const _bind = () => {
-      if (!network) return requestAnimationFrame(_bind);
-      network.on("selectNode", function(params) {
-        const selectedId = params.nodes[0];
-        const connectedEdgeIds = network.getConnectedEdges(selectedId);
-        const allEdgeIds = data.edges.getIds();
-        data.edges.update(allEdgeIds.map(id => ({ id, color: { color: "#e5e7eb" } })));
-        data.edges.update(connectedEdgeIds.map(id => ({ id, color: { color: "#ef4444" } })));
-      });
-      network.on("deselectNode", function() {
-        const allEdgeIds = data.edges.getIds();
-        data.edges.update(allEdgeIds.map(id => ({ id, color: { color: "#e5e7eb" } })));
-      });
-    };
-    _bind();
+// ----------- Graph -----------
+const graph = attempt(() =>
+  DIFF ? buildDiffGraph(readCatalog(OLD_INPUT), catalog, options) : buildGraph(catalog.products, options)
+);
+// The page opens on these positions with physics off; the Physics toggle re-runs the simulation
+if (!opts["browser-layout"]) layoutGraph(graph, { physics: config.physics, positions: seedPositions });
+const keptCount = graph.nodes.filter((n) => seedPositions.has(n.id)).length;
+const { clusters, changes } = graph;
+const { productCount, variantCount, tagCount, edgeCount, projectedEdgeCount, attributeTagCount, layerCounts } =
+  graph.stats;
+const policySummary = describePolicy(graph.stats.policyCounts);
+
+// ----------- Inline assets (--inline-assets) -----------
+// The page's libraries, read from node_modules so the page needs no network
+const require = createRequire(import.meta.url);
+const readAssets = (names) =>
+  Object.fromEntries(
+    names.map((name) => [
+      name,
+      attempt(
+        () => fs.readFileSync(path.join(path.dirname(require.resolve(`${name}/package.json`)), ASSETS[name].file), "utf8"),
+        `Could not read ${name} for --inline-assets (run npm install)`
+      ),
+    ])
+  );
+
+// ----------- Directory output (--out-dir) -----------
+// Data files from a bigger earlier build would never be fetched again; clear them first
+const writeSite = (dir, files) => {
+  const dataDir = path.join(dir, SITE_DATA_DIR);
+  if (fs.existsSync(dataDir)) {
+    for (const f of fs.readdirSync(dataDir)) if (/^shard-\d+\.json$/.test(f)) fs.rmSync(path.join(dataDir, f));
   }
-</script>
-</body>
-</html>`;
-
-// ----------- Write HTML -----------
-fs.writeFileSync(OUTPUT, html, "utf8");
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), contents, "utf8");
+  }
+};
+
+// ----------- Write output -----------
+const { title, physics, layout, batchSize, shardSize } = config;
+const renderer = pickRenderer(graph, RENDERER);
+const assets = opts["inline-assets"] && FORMAT === "html" ? readAssets(RENDERER_ASSETS[renderer]) : {};
+const { compress } = opts;
+let written = OUTPUT;
+if (OUT_DIR) {
+  const files = renderSite(graph, { title, physics, layout, batchSize, renderer, assets, shardSize, shopDomain: SHOP_DOMAIN });
+  writeSite(OUT_DIR, files);
+  written = `${OUTPUT} + ${Object.keys(files).length - 1} data files in ${path.join(OUT_DIR, SITE_DATA_DIR)}`;
+} else {
+  fs.writeFileSync(
+    OUTPUT,
+    FORMATS[FORMAT](graph, { title, physics, layout, batchSize, renderer, assets, compress, shopDomain: SHOP_DOMAIN }),
+    "utf8"
+  );
+}
 
-console.log(`✅ Wrote ${OUTPUT}
+console.log(`✅ Wrote ${written}
+• Rows: ${catalog.records.length}
 • Products: ${productCount}
-• Tags: ${nodesMap.size - productCount}
-• Edges: ${edgeCount}`);
-console.log(`Open the HTML file in your browser to explore the mindmap.`);
\ No newline at end of file
+• Variants: ${variantCount}
+• Tags: ${tagCount}${layerCounts.map(([label, n]) => `\n• ${label}: ${n}`).join("")}
+• Edges: ${edgeCount}${opts.projection ? ` (${projectedEdgeCount} ${opts.projection === "products" ? "product–product" : "tag–tag"})` : ""}
+• Attribute tags parsed: ${attributeTagCount}${graph.stats.layoutSteps ? `\n• Layout: ${graph.stats.layoutSteps} steps` : ""}${opts["seed-positions"] ? `\n• Positions: ${keptCount} kept from ${opts["seed-positions"]}, ${graph.nodes.length - keptCount} placed` : ""}${clusters.length ? `\n• Clusters: ${clusters.filter((c) => c.id >= 0).length}` : ""}${policySummary ? `\n• Tag policy: ${policySummary} tag uses` : ""}`);
+if (graph.stats.unparsedAttributeTags.length) {
+  const list = graph.stats.unparsedAttributeTags.map(([t, n]) => `${t} (${n}×)`).join(", ");
+  console.warn(`⚠️  Attribute tags whose value didn't parse, kept as tags: ${list}`);
+}
+if (changes) {
+  const changesFile = opts.changes || OUTPUT.replace(/\.[^./\\]+$/, "") + ".changes.json";
+  fs.writeFileSync(changesFile, JSON.stringify(changes, null, 2), "utf8");
+  console.log(`✅ Wrote ${changesFile}\n• Changes: ${describeChanges(changes)}`);
+}
+if (OUT_DIR) {
+  console.log(`Serve ${OUT_DIR} over HTTP (e.g. npx serve ${OUT_DIR}) to explore the mindmap${renderer === "webgl" ? " (WebGL renderer)" : ""}; browsers block the data files on file:// pages.`);
+} else if (FORMAT === "html") {
+  console.log(`Open the HTML file in your browser to explore the mindmap${renderer === "webgl" ? " (WebGL renderer)" : ""}.`);
+}
\ No newline at end of file
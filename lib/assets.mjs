@@ -0,0 +1,219 @@
+import zlib from "zlib";
+
+// ----------- Page libraries (--inline-assets) -----------
+/**
+ * Pages load their libraries from unpkg unless the library source is passed
+ * in `assets` (package name -> file contents), in which case it is embedded
+ * and the page works offline. The CLI reads the files below from node_modules;
+ * versions match package.json.
+ */
+export const ASSETS = {
+  "vis-network": { version: "9.1.9", file: "standalone/umd/vis-network.min.js" },
+  graphology: { version: "0.25.4", file: "dist/graphology.umd.min.js" },
+  "graphology-library": { version: "0.8.0", file: "dist/graphology-library.min.js" },
+  sigma: { version: "2.4.0", file: "build/sigma.min.js" },
+};
+
+// Libraries each page renderer loads, in order
+export const RENDERER_ASSETS = {
+  canvas: ["vis-network"],
+  webgl: ["graphology", "graphology-library", "sigma"],
+};
+
+export const scriptTag = (name, assets = {}) => {
+  const { version, file } = ASSETS[name];
+  if (assets[name] == null) return `<script src="https://unpkg.com/${name}@${version}/${file}"></script>`;
+  // "</script" would end the inline script early
+  return `<script>/*! ${name}@${version} */\n${assets[name].replace(/<\/(script)/gi, "<\\/$1")}\n</script>`;
+};
+
+// ----------- Text and data in pages -----------
+// Text from the CSV, config or file names placed in page markup
+export const escapeHtml = (s) =>
+  String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/**
+ * JSON as a script literal. Product titles and tags end up in there, and a
+ * "</script>" or "<!--" in one would end or derail the script block, so every
+ * "<" is written as \u003c; U+2028 / U+2029 are escaped too, as some parsers
+ * still read them as line breaks. The result is the same value to JSON.parse.
+ */
+export const scriptJson = (value) =>
+  JSON.stringify(value).replace(/[<\u2028\u2029]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+
+// ----------- Compressed page data (--compress) -----------
+/**
+ * embedData writes a value into the page script as a JSON literal, or with
+ * `compress` as JSON.parse(gunzip("<base64 gzip>")). GUNZIP is the page-side
+ * decoder for the latter (RFC 1951/1952 inflate); it is small rather than fast,
+ * which is fine for a few megabytes decoded once on load.
+ */
+export const embedData = (value, compress = false) =>
+  compress
+    ? `JSON.parse(gunzip("${zlib.gzipSync(JSON.stringify(value), { level: 9 }).toString("base64")}"))`
+    : scriptJson(value);
+
+// Inverse of embedData for what a page embeds (used to read positions back from an earlier page)
+export const readEmbedded = (source) => {
+  const packed = source.match(/^JSON\.parse\(gunzip\("([A-Za-z0-9+/=]*)"\)\)$/);
+  return JSON.parse(packed ? zlib.gunzipSync(Buffer.from(packed[1], "base64")).toString("utf8") : source);
+};
+
+export const GUNZIP = `
+  // ---- Decoder for the compressed data below (gzip) ----
+  function gunzip(base64) {
+    const bin = atob(base64);
+    const src = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) src[i] = bin.charCodeAt(i);
+    // The gzip trailer holds the decoded size; skip the header and its optional fields
+    const out = new Uint8Array((src[src.length - 4] | (src[src.length - 3] << 8) | (src[src.length - 2] << 16) | (src[src.length - 1] << 24)) >>> 0);
+    const flags = src[3];
+    let pos = 10;
+    if (flags & 4) pos += 2 + (src[pos] | (src[pos + 1] << 8));
+    if (flags & 8) while (src[pos++]);
+    if (flags & 16) while (src[pos++]);
+    if (flags & 2) pos += 2;
+
+    let bitBuf = 0;
+    let bitCount = 0;
+    const bits = (n) => {
+      while (bitCount < n) {
+        bitBuf |= src[pos++] << bitCount;
+        bitCount += 8;
+      }
+      const v = bitBuf & ((1 << n) - 1);
+      bitBuf >>>= n;
+      bitCount -= n;
+      return v;
+    };
+
+    // Canonical Huffman code: number of codes per length + symbols in code order
+    const huffman = (lengths) => {
+      const counts = new Uint16Array(16);
+      const offsets = new Uint16Array(16);
+      const symbols = new Uint16Array(lengths.length);
+      lengths.forEach(l => counts[l]++);
+      counts[0] = 0;
+      for (let l = 1; l < 16; l++) offsets[l] = offsets[l - 1] + counts[l - 1];
+      lengths.forEach((l, s) => { if (l) symbols[offsets[l]++] = s; });
+      return { counts, symbols };
+    };
+    const decode = (h) => {
+      let code = 0, first = 0, index = 0;
+      for (let l = 1; l < 16; l++) {
+        code |= bits(1);
+        const count = h.counts[l];
+        if (code - first < count) return h.symbols[index + code - first];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      throw new Error('corrupt gzip data');
+    };
+
+    const LENGTH_BASE = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258];
+    const LENGTH_EXTRA = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0];
+    const DIST_BASE = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];
+    const DIST_EXTRA = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+    const CODE_ORDER = [16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];
+    const fixedLit = huffman(Array.from({ length: 288 }, (_, s) => s < 144 ? 8 : s < 256 ? 9 : s < 280 ? 7 : 8));
+    const fixedDist = huffman(new Array(30).fill(5));
+
+    let o = 0;
+    let last = 0;
+    while (!last) {
+      last = bits(1);
+      const type = bits(2);
+      if (type === 0) {
+        // Stored block: byte-aligned length, its complement, then raw bytes
+        bitBuf = 0;
+        bitCount = 0;
+        const len = src[pos] | (src[pos + 1] << 8);
+        pos += 4;
+        out.set(src.subarray(pos, pos + len), o);
+        pos += len;
+        o += len;
+        continue;
+      }
+      let lit = fixedLit, dist = fixedDist;
+      if (type === 2) {
+        const nlit = bits(5) + 257, ndist = bits(5) + 1, ncode = bits(4) + 4;
+        const codeLengths = new Array(19).fill(0);
+        for (let i = 0; i < ncode; i++) codeLengths[CODE_ORDER[i]] = bits(3);
+        const codes = huffman(codeLengths);
+        const lengths = [];
+        while (lengths.length < nlit + ndist) {
+          const sym = decode(codes);
+          if (sym < 16) lengths.push(sym);
+          else if (sym === 16) for (let r = 3 + bits(2), prev = lengths[lengths.length - 1]; r; r--) lengths.push(prev);
+          else for (let r = sym === 17 ? 3 + bits(3) : 11 + bits(7); r; r--) lengths.push(0);
+        }
+        lit = huffman(lengths.slice(0, nlit));
+        dist = huffman(lengths.slice(nlit));
+      }
+      for (let sym = decode(lit); sym !== 256; sym = decode(lit)) {
+        if (sym < 256) {
+          out[o++] = sym;
+          continue;
+        }
+        const len = LENGTH_BASE[sym - 257] + bits(LENGTH_EXTRA[sym - 257]);
+        const d = decode(dist);
+        const back = DIST_BASE[d] + bits(DIST_EXTRA[d]);
+        for (let k = 0; k < len; k++, o++) out[o] = out[o - back];
+      }
+    }
+    return new TextDecoder().decode(out);
+  }
+`;
+
+// ----------- Data files (--out-dir) -----------
+/**
+ * Page-side loader for the data files written by renderSite. It fetches the
+ * manifest first, then the files one at a time. The manifest lists the size of
+ * every file, so the byte count is right even without a Content-Length.
+ * Before each file it asks query() for the terms of the current search (folded
+ * words, see lib/search.mjs). Files holding a match or a match's neighbours go
+ * first.
+ *   onShard(shard, manifest)                 called with each parsed file
+ *   onProgress({ loadedBytes, totalBytes })  called for every chunk
+ * Resolves with the manifest.
+ */
+export const LOAD_SHARDS = `
+  // ---- Data files ----
+  const megabytes = (n) => (n / 1048576).toFixed(1) + ' MB';
+
+  async function loadShards(manifestUrl, { query, onShard, onProgress }) {
+    const base = new URL(manifestUrl, location.href);
+    const response = await fetch(base);
+    if (!response.ok) throw new Error(manifestUrl + ': HTTP ' + response.status);
+    const manifest = await response.json();
+    const progress = { loadedBytes: 0, totalBytes: manifest.shards.reduce((sum, s) => sum + s.bytes, 0) };
+    onProgress(progress);
+
+    // Files holding the nodes that match the search, and their neighbours
+    const wanted = () => {
+      const terms = query();
+      const files = new Set();
+      if (terms.length) manifest.search.forEach(([text, shards]) => { if (terms.some(t => text.includes(t))) shards.forEach(i => files.add(i)); });
+      return files;
+    };
+
+    const queue = manifest.shards.map((_, i) => i);
+    while (queue.length) {
+      const files = wanted();
+      const next = Math.max(0, queue.findIndex(i => files.has(i)));
+      const shard = manifest.shards[queue.splice(next, 1)[0]];
+      const res = await fetch(new URL(shard.file, base));
+      if (!res.ok) throw new Error(shard.file + ': HTTP ' + res.status);
+      const reader = res.body.getReader();
+      const chunks = [];
+      for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        chunks.push(chunk.value);
+        progress.loadedBytes += chunk.value.length;
+        onProgress(progress);
+      }
+      onShard(JSON.parse(await new Blob(chunks).text()), manifest);
+    }
+    return manifest;
+  }
+`;
@@ -0,0 +1,192 @@
+import { parse } from "csv-parse/sync";
+import { normalize, splitTags } from "./tags.mjs";
+
+// ----------- Column layers (--layer) -----------
+/**
+ * Extra node groups built from product columns. Each value becomes a node
+ * linked to its products; with `hierarchy` set, the value is a path whose
+ * segments become a chain of parent -> child nodes (product links to the leaf).
+ */
+export const LAYERS = {
+  vendor: { column: "Vendor", label: "Vendor", shape: "square", color: { background: "#a1d99b", border: "#31a354" } },
+  type: { column: "Type", label: "Type", shape: "triangle", color: { background: "#bcbddc", border: "#756bb1" } },
+  category: {
+    column: "Product Category",
+    label: "Category",
+    shape: "box",
+    color: { background: "#d9d9d9", border: "#737373" },
+    hierarchy: ">",
+  },
+};
+
+// ["vendor,category", "Type"] -> ["vendor", "category", "type"]
+export const resolveLayers = (names = []) => {
+  const layers = names.flatMap((l) => l.split(",")).map((l) => l.trim().toLowerCase()).filter(Boolean);
+  const unknown = layers.find((l) => !LAYERS[l]);
+  if (unknown) throw new Error(`Unknown layer '${unknown}'. Use one of: ${Object.keys(LAYERS).join(", ")}.`);
+  return layers;
+};
+
+// ----------- Group rows into products -----------
+/**
+ * A Shopify export repeats the Handle on extra rows for every variant and
+ * image; only the first row of a product carries Title, Tags etc. Rows are
+ * grouped by Handle (by Title when there is no Handle column), and each row
+ * with option values, a SKU or a price becomes a variant of its product.
+ */
+const VARIANT_COLUMNS = {
+  sku: "Variant SKU",
+  price: "Variant Price",
+  compareAtPrice: "Variant Compare At Price",
+  inventory: "Variant Inventory Qty",
+};
+const NUMERIC_VARIANT_FIELDS = new Set(["price", "compareAtPrice", "inventory"]);
+
+const readVariant = (row, optionNames, { optionKeys, variantKeys }) => {
+  const options = {};
+  optionKeys.forEach((o, i) => {
+    const value = normalize(row[o.value]);
+    // Single-variant products export as "Title: Default Title"
+    if (value && value !== "Default Title") options[optionNames[i] || `Option ${i + 1}`] = value;
+  });
+  const variant = { options };
+  for (const [field, key] of variantKeys) {
+    const value = normalize(row[key]);
+    if (value) variant[field] = NUMERIC_VARIANT_FIELDS.has(field) ? Number(value) : value;
+  }
+  const hasData = Object.keys(options).length || variant.sku || variant.price != null;
+  return hasData ? variant : null;
+};
+
+// Columns a product row carries for the detail panel: all but title, handle, tags and
+// the per-row variant and image columns
+const PER_ROW_COLUMN = /^(option\d|variant|image)\b/i;
+
+// "Body (HTML)" and the like as plain text; pages show CSV values as text, never as markup
+const htmlToText = (html) =>
+  html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<(br|\/p|\/div|\/li|\/h\d)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (_, e) => ({ nbsp: " ", amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[e])
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+
+export const formatVariant = (v) =>
+  [
+    Object.values(v.options).join(" / "),
+    v.sku && `SKU ${v.sku}`,
+    v.price != null && v.price.toFixed(2),
+    v.inventory != null && `${v.inventory} in stock`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+// ----------- Read CSV -----------
+/**
+ * Parses a products CSV and groups its rows into products (see above).
+ *
+ * Options:
+ *   layers     column layers to warn about when their column is missing (see resolveLayers)
+ *   source     name of the CSV used in messages and the tag report (e.g. its path)
+ *   columns    header names for title, handle, tags and the layer columns
+ *              (defaults: Title, Handle, Tags and the LAYERS columns; case-insensitive)
+ *   separator  tag separator, string or RegExp (default ",")
+ *   panelColumns  headers of the columns kept for the product panel (case-insensitive),
+ *                 or "*" for all of them (default: none)
+ *
+ * Returns { source, records, titleKey, tagsKey, separator, products, warnings }; products
+ * is a Map of handle (or title) -> { handle, title, tags, variants, optionNames, fields,
+ * columns, images }: `fields` holds the vendor, type and category (every LAYERS column
+ * present, drawn or not), `columns` the product row's non-empty panel columns as
+ * [header, value] pairs, `images` the { src, alt } of its `Image Src` rows.
+ */
+export const parseProducts = (
+  csvText,
+  { layers = [], source = "products.csv", columns = {}, separator = ",", panelColumns = [] } = {}
+) => {
+  const records = parse(csvText, {
+    columns: true,
+    skip_empty_lines: true,
+  });
+  const activeLayers = resolveLayers(layers);
+  const warnings = [];
+
+  // Shopify usually: Title, Handle, Tags
+  const columnKey = (name) =>
+    Object.keys(records[0] || {}).find((k) => k.toLowerCase() === name.toLowerCase());
+
+  const titleColumn = columns.title || "Title";
+  const tagsColumn = columns.tags || "Tags";
+  const titleKey = columnKey(titleColumn);
+  const handleKey = columnKey(columns.handle || "Handle");
+  const tagsKey = columnKey(tagsColumn);
+
+  if (!titleKey || !tagsKey) {
+    throw new Error(`Could not find '${titleColumn}' and/or '${tagsColumn}' columns in CSV headers of ${source}.`);
+  }
+
+  const layerColumn = (name) => columns[name] || LAYERS[name].column;
+  const layerKeys = Object.keys(LAYERS).map((name) => [name, columnKey(layerColumn(name))]);
+  for (const [name, key] of layerKeys) {
+    if (!key && activeLayers.includes(name)) {
+      warnings.push(`No '${layerColumn(name)}' column in ${source}; skipping the ${name} layer.`);
+    }
+  }
+  const optionKeys = [1, 2, 3]
+    .map((i) => ({ name: columnKey(`Option${i} Name`), value: columnKey(`Option${i} Value`) }))
+    .filter((o) => o.value);
+  const variantKeys = Object.entries(VARIANT_COLUMNS)
+    .map(([field, col]) => [field, columnKey(col)])
+    .filter(([, key]) => key);
+  const imageKey = columnKey("Image Src");
+  const imageAltKey = columnKey("Image Alt Text");
+  // Every column is a lot of page data on a full Shopify export, so the panel only gets the ones asked for
+  const panelKeys = panelColumns === "*" ? Object.keys(records[0] || {}) : panelColumns.map(columnKey);
+  panelKeys.forEach((key, i) => {
+    if (!key) warnings.push(`No '${panelColumns[i]}' column in ${source}; leaving it out of the product panel.`);
+  });
+  const detailKeys = [...new Set(panelKeys)].filter(
+    (k) => k && k !== titleKey && k !== handleKey && k !== tagsKey && !PER_ROW_COLUMN.test(k)
+  );
+
+  const products = new Map(); // handle (or title) -> { handle, title, tags, variants, fields, … }
+  for (const row of records) {
+    const title = normalize(row[titleKey]);
+    const handle = handleKey ? normalize(row[handleKey]) : "";
+    const groupKey = handle || title;
+    if (!groupKey) continue;
+
+    let product = products.get(groupKey);
+    if (!product) {
+      // Variant/image rows whose product row is missing have nothing to show
+      if (!title) continue;
+      product = { handle, title, tags: [], variants: [], optionNames: [], fields: {}, columns: [], images: [] };
+      products.set(groupKey, product);
+    }
+    if (title) {
+      product.tags.push(...splitTags(row[tagsKey], separator));
+      for (const [name, key] of layerKeys) {
+        if (key) product.fields[name] ||= normalize(row[key]);
+      }
+      optionKeys.forEach((o, i) => {
+        product.optionNames[i] ||= o.name ? normalize(row[o.name]) : "";
+      });
+      if (!product.columns.length) {
+        for (const key of detailKeys) {
+          const value = /\(html\)$/i.test(key) ? htmlToText(row[key] ?? "") : normalize(row[key]);
+          if (value) product.columns.push([key, value]);
+        }
+      }
+    }
+    const src = imageKey ? normalize(row[imageKey]) : "";
+    if (src && !product.images.some((img) => img.src === src)) {
+      product.images.push({ src, alt: imageAltKey ? normalize(row[imageAltKey]) : "" });
+    }
+    const variant = readVariant(row, product.optionNames, { optionKeys, variantKeys });
+    if (variant) product.variants.push(variant);
+  }
+
+  return { source, records, titleKey, tagsKey, separator, products, warnings };
+};
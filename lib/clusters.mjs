@@ -0,0 +1,147 @@
+// ----------- Communities (--clusters) -----------
+/**
+ * Louvain community detection on the final graph (edge `value` as weight,
+ * operational tags left out). Nodes are visited in id order, so a rebuild of
+ * the same CSV gives the same clusters. Clusters are numbered by size;
+ * those smaller than MIN_CLUSTER_SIZE share cluster -1 ("Other").
+ * detectClusters colours the nodes in place and returns the cluster list.
+ */
+const MIN_CLUSTER_SIZE = 3;
+const CLUSTER_PALETTE = [
+  "#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#bcbd22",
+  "#17becf", "#aec7e8", "#ffbb78", "#98df8a", "#ff9896", "#c5b0d5", "#c49c94", "#f7b6d2",
+  "#dbdb8d", "#9edae5",
+];
+const OTHER_CLUSTER_COLOR = "#bdbdbd";
+
+// edgeList: [[i, j, w]] over nodes 0..n-1 -> community index per node
+const louvain = (n, edgeList) => {
+  let membership = Array.from({ length: n }, (_, i) => i);
+  let size = n;
+  let links = edgeList;
+
+  for (;;) {
+    const adj = Array.from({ length: size }, () => new Map());
+    const degree = new Array(size).fill(0);
+    let total = 0; // 2m
+    for (const [a, b, w] of links) {
+      adj[a].set(b, (adj[a].get(b) || 0) + w);
+      if (a !== b) adj[b].set(a, (adj[b].get(a) || 0) + w);
+      degree[a] += w;
+      degree[b] += w;
+      total += 2 * w;
+    }
+    if (!total) break;
+
+    const comm = Array.from({ length: size }, (_, i) => i);
+    const tot = degree.slice();
+    let movedAny = false;
+    for (let moved = true; moved; ) {
+      moved = false;
+      for (let i = 0; i < size; i++) {
+        const weights = new Map(); // community -> weight from i
+        for (const [j, w] of adj[i]) {
+          if (j !== i) weights.set(comm[j], (weights.get(comm[j]) || 0) + w);
+        }
+        const own = comm[i];
+        tot[own] -= degree[i];
+        let best = own;
+        let bestGain = (weights.get(own) || 0) - (tot[own] * degree[i]) / total;
+        for (const [c, w] of weights) {
+          const gain = w - (tot[c] * degree[i]) / total;
+          if (gain > bestGain + 1e-12) {
+            best = c;
+            bestGain = gain;
+          }
+        }
+        tot[best] += degree[i];
+        if (best !== own) {
+          comm[i] = best;
+          moved = movedAny = true;
+        }
+      }
+    }
+    if (!movedAny) break;
+
+    // Renumber and collapse each community into one node
+    const index = new Map();
+    for (const c of comm) if (!index.has(c)) index.set(c, index.size);
+    membership = membership.map((m) => index.get(comm[m]));
+    const merged = new Map();
+    for (const [a, b, w] of links) {
+      const [x, y] = [index.get(comm[a]), index.get(comm[b])].sort((p, q) => p - q);
+      const key = `${x},${y}`;
+      merged.set(key, (merged.get(key) || 0) + w);
+    }
+    links = Array.from(merged, ([key, w]) => [...key.split(",").map(Number), w]);
+    size = index.size;
+  }
+  return membership;
+};
+
+export const detectClusters = ({ nodesMap, edges }) => {
+  const ids = Array.from(nodesMap.values())
+    .filter((n) => !n.operational)
+    .map((n) => n.id)
+    .sort();
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const neighbours = new Map(ids.map((id) => [id, new Set()]));
+  const edgeList = [];
+  for (const e of edges) {
+    if (!index.has(e.from) || !index.has(e.to)) continue;
+    edgeList.push([index.get(e.from), index.get(e.to), e.value || 1]);
+    neighbours.get(e.from).add(e.to);
+    neighbours.get(e.to).add(e.from);
+  }
+  const membership = louvain(ids.length, edgeList);
+
+  const groups = new Map(); // community -> member ids
+  ids.forEach((id, i) => {
+    if (!groups.has(membership[i])) groups.set(membership[i], []);
+    groups.get(membership[i]).push(id);
+  });
+  const ranked = Array.from(groups.values()).sort((a, b) => b.length - a.length);
+
+  // Characteristic tags: carried by many of the cluster's products, and mostly by them
+  const nameCluster = (members) => {
+    const inCluster = new Set(members);
+    const scores = new Map();
+    for (const id of members) {
+      if (nodesMap.get(id).group !== "product") continue;
+      for (const nid of neighbours.get(id)) {
+        if (nodesMap.get(nid).group === "tag") scores.set(nid, (scores.get(nid) || 0) + 1);
+      }
+    }
+    for (const [tid, hits] of scores) scores.set(tid, (hits * hits) / neighbours.get(tid).size);
+    const top = scores.size
+      ? Array.from(scores).sort((a, b) => b[1] - a[1]).map(([tid]) => tid)
+      : members.slice().sort(
+          (a, b) =>
+            Array.from(neighbours.get(b)).filter((x) => inCluster.has(x)).length -
+            Array.from(neighbours.get(a)).filter((x) => inCluster.has(x)).length
+        );
+    return top.slice(0, 3).map((id) => nodesMap.get(id).label).join(" · ");
+  };
+
+  const clusters = [];
+  let otherSize = 0;
+  ranked.forEach((members) => {
+    const small = members.length < MIN_CLUSTER_SIZE;
+    const id = small ? -1 : clusters.length;
+    const color = small ? OTHER_CLUSTER_COLOR : CLUSTER_PALETTE[id % CLUSTER_PALETTE.length];
+    if (small) otherSize += members.length;
+    else clusters.push({ id, name: nameCluster(members), color, size: members.length });
+    for (const nid of members) {
+      const node = nodesMap.get(nid);
+      node.cluster = id;
+      node.color = { background: color, border: color };
+    }
+  });
+  if (otherSize) clusters.push({ id: -1, name: "Other (small clusters)", color: OTHER_CLUSTER_COLOR, size: otherSize });
+
+  for (const node of nodesMap.values()) {
+    const c = clusters.find((x) => x.id === node.cluster);
+    if (c) node.title = [...node.title, [`Cluster: ${c.name}`]];
+  }
+  return clusters;
+};
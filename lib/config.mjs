@@ -0,0 +1,154 @@
+import { PREFIX_TYPES } from "./tags.mjs";
+
+// ----------- Config file (--config) -----------
+/**
+ * graph.config.json (or .mjs with a default export) holds what used to need
+ * source edits. Every key is optional:
+ *
+ *   {
+ *     "title": "London Tea – Product graph",          page title and heading
+ *     "output": "graph.html",                         HTML output path when none is given
+ *     "columns": { "title": "Titel", "tags": "Schlagwörter", "vendor": "Marke" },
+ *     "separator": "/[,;|]/",                         tag separator: text or "/regex/flags"
+ *     "groups": { "tag": { "shape": "hexagon", "color": "#fdae6b" },
+ *                 "vendor": { "color": { "background": "#a1d99b", "border": "#31a354" } } },
+ *     "physics": { "solver": "barnesHut", "stabilization": { "iterations": 500 } },
+ *     "layout": { "default": "hierarchical", "hierarchical": { "direction": "UD" } },
+ *     "batchSize": 400,                               nodes added per loading step
+ *     "prefixes": { "TAX": { "key": "taxRate", "label": "Tax rate", "unit": "%", "type": "range" } },
+ *     "shardSize": 500,                               nodes per data file with --out-dir
+ *     "panelColumns": ["Status", "SEO Title"]         CSV columns in the product panel, or "*"
+ *   }
+ *
+ * `physics` is merged over the page's vis-network physics options and also
+ * drives the build-time layout (lib/layout.mjs); each entry in `prefixes` is
+ * merged over the ATTRIBUTE_PREFIXES entry of that name. Unknown keys and
+ * wrong types are rejected with the path of every offending value.
+ */
+export const GROUP_NAMES = ["product", "tag", "variant", "vendor", "type", "category"];
+export const COLUMN_NAMES = ["title", "handle", "tags", "vendor", "type", "category"];
+const SHAPES = [
+  "dot", "diamond", "square", "triangle", "triangleDown", "star", "box", "ellipse", "circle", "hexagon", "database", "text",
+];
+const PHYSICS_SOLVERS = ["barnesHut", "forceAtlas2Based", "repulsion", "hierarchicalRepulsion"];
+const SOLVER_PARAMS = [
+  "theta", "gravitationalConstant", "centralGravity", "springLength", "springConstant", "damping", "avoidOverlap", "nodeDistance",
+];
+const HEX_COLOR = /^#[0-9a-f]{3}(?:[0-9a-f]{3})?$/i;
+
+// Each check returns a list of "path: problem" messages, empty when the value is fine
+const check = (test, expected) => (value, at) =>
+  test(value) ? [] : [`${at}: expected ${expected}, got ${JSON.stringify(value)}`];
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+const object = (fields) => (value, at) => {
+  if (!isObject(value)) return [`${at || "config"}: expected an object, got ${JSON.stringify(value)}`];
+  return Object.entries(value).flatMap(([key, v]) => {
+    const where = at ? `${at}.${key}` : key;
+    if (!fields[key]) return [`${where}: unknown key, expected one of ${Object.keys(fields).join(", ")}`];
+    return fields[key](v, where);
+  });
+};
+
+// An object whose keys are names matching `pattern`, each value checked by `field`
+const record = (pattern, expected, field) => (value, at) => {
+  if (!isObject(value)) return [`${at}: expected an object, got ${JSON.stringify(value)}`];
+  return Object.entries(value).flatMap(([key, v]) =>
+    pattern.test(key) ? field(v, `${at}.${key}`) : [`${at}.${key}: expected ${expected}`]
+  );
+};
+
+const text = check((v) => typeof v === "string" && v.trim() !== "", "a non-empty string");
+const number = check((v) => typeof v === "number" && Number.isFinite(v), "a number");
+const boolean = check((v) => typeof v === "boolean", "true or false");
+const positiveInteger = check((v) => Number.isInteger(v) && v > 0, "a positive integer");
+const string = check((v) => typeof v === "string", "a string");
+const oneOf = (values) => check((v) => values.includes(v), `one of ${values.join(", ")}`);
+
+// "*" or a list of column names
+const columnList = (value, at) =>
+  Array.isArray(value)
+    ? value.flatMap((v, i) => text(v, `${at}[${i}]`))
+    : check((v) => v === "*", 'a list of column names or "*"')(value, at);
+
+const color = (value, at) => {
+  if (typeof value === "string") return check((v) => HEX_COLOR.test(v), 'a hex colour like "#6baed6"')(value, at);
+  return object({ background: color, border: color })(value, at);
+};
+
+const separator = (value, at) => {
+  const problems = text(value, at);
+  const re = !problems.length && value.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    try {
+      new RegExp(re[1], re[2]);
+    } catch (err) {
+      problems.push(`${at}: invalid regular expression (${err.message})`);
+    }
+  }
+  return problems;
+};
+
+const solverParams = object(Object.fromEntries(SOLVER_PARAMS.map((k) => [k, number])));
+
+const CONFIG_SCHEMA = object({
+  title: text,
+  output: text,
+  columns: object(Object.fromEntries(COLUMN_NAMES.map((k) => [k, text]))),
+  separator,
+  groups: object(
+    Object.fromEntries(GROUP_NAMES.map((g) => [g, object({ shape: oneOf(SHAPES), color })]))
+  ),
+  physics: object({
+    enabled: boolean,
+    solver: oneOf(PHYSICS_SOLVERS),
+    ...Object.fromEntries(PHYSICS_SOLVERS.map((s) => [s, solverParams])),
+    stabilization: object({ enabled: boolean, iterations: positiveInteger }),
+    minVelocity: number,
+    maxVelocity: number,
+    timestep: number,
+  }),
+  layout: object({
+    default: oneOf(["force", "hierarchical"]),
+    hierarchical: object({
+      direction: oneOf(["LR", "RL", "UD", "DU"]),
+      nodeSpacing: number,
+      treeSpacing: number,
+      levelSeparation: number,
+    }),
+  }),
+  batchSize: positiveInteger,
+  prefixes: record(
+    /^[a-z]+$/i,
+    "a prefix made of letters, like WAT",
+    object({ key: text, label: text, unit: string, type: oneOf(PREFIX_TYPES), fallback: text })
+  ),
+  shardSize: positiveInteger,
+  panelColumns: columnList,
+});
+
+// "#abc" -> { background: "#abc", border: "#abc" }
+const toColor = (c) => (typeof c === "string" ? { background: c, border: c } : c);
+
+/**
+ * source: config file contents (JSON text) or the config object. Returns the
+ * config with `separator` compiled (string or RegExp) and group colours as
+ * { background, border }; throws one Error listing every problem.
+ */
+export const parseConfig = (source) => {
+  const config = typeof source === "string" ? JSON.parse(source) : source;
+  const problems = CONFIG_SCHEMA(config, "");
+  if (problems.length) throw new Error(`invalid config:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+
+  const re = config.separator?.match(/^\/(.+)\/([a-z]*)$/);
+  return {
+    ...config,
+    ...(config.separator && { separator: re ? new RegExp(re[1], re[2]) : config.separator }),
+    ...(config.groups && {
+      groups: Object.fromEntries(
+        Object.entries(config.groups).map(([g, style]) => [g, { ...style, ...(style.color && { color: toColor(style.color) }) }])
+      ),
+    }),
+  };
+};
@@ -0,0 +1,209 @@
+import { renderHtml } from "./html.mjs";
+import { WEBGL_NODE_THRESHOLD, renderWebgl } from "./webgl.mjs";
+import { nodeColor } from "./graph.mjs";
+
+// ----------- Export formats (--format) -----------
+/**
+ * html (default) is the interactive page (see RENDERERS below). The others are for
+ * Gephi, yEd, Cytoscape and pandas:
+ *   graphml    GraphML with one <data> key per node/edge field
+ *   gexf       GEXF 1.3 with node colours and positions (viz:color, viz:position)
+ *   cytoscape  Cytoscape.js JSON ({ elements: { nodes, edges } }), also read by Cytoscape desktop
+ *   json       node-link JSON with nested attrs/variants intact
+ *   edgelist   CSV edge list: source, target, weight plus labels and groups
+ * The XML and CSV formats are flat: ranges become `<key>_min` / `<key>_max`,
+ * concept labels `label_<lang>`, lists are joined with "; " and variants are
+ * written as a JSON string.
+ */
+// vis-only presentation fields and the page's panel data, left out of the exports
+const PRESENTATION_FIELDS = new Set(["title", "shape", "hidden", "physics", "borderWidth", "color", "dashes", "details"]);
+
+const dataFields = (item) =>
+  Object.fromEntries(
+    Object.entries(item).filter(
+      ([k, v]) => !PRESENTATION_FIELDS.has(k) && v != null && !(Array.isArray(v) && !v.length)
+    )
+  );
+
+const flatFields = (item) => {
+  const out = {};
+  for (const [k, v] of Object.entries(dataFields(item))) {
+    if (k === "attrs") {
+      for (const [key, a] of Object.entries(v)) {
+        if (a && typeof a === "object") {
+          out[`${key}_min`] = a.min;
+          out[`${key}_max`] = a.max;
+        } else out[key] = a;
+      }
+    } else if (k === "labels") {
+      for (const [lang, label] of Object.entries(v)) out[`label_${lang}`] = label;
+    } else if (Array.isArray(v) && v.every((x) => typeof x !== "object")) out[k] = v.join("; ");
+    else if (typeof v === "object") out[k] = JSON.stringify(v);
+    else out[k] = v;
+  }
+  return out;
+};
+
+// Field name -> type across all items, in first-seen order
+const fieldTypes = (rows) => {
+  const types = new Map();
+  for (const row of rows) {
+    for (const [k, v] of Object.entries(row)) {
+      const type = typeof v === "number" ? "double" : typeof v === "boolean" ? "boolean" : "string";
+      if (!types.has(k)) types.set(k, type);
+      else if (types.get(k) !== type) types.set(k, "string");
+    }
+  }
+  return types;
+};
+
+const escapeXml = (s) =>
+  String(s).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const escapeCsv = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const hexToRgb = (hex) => {
+  const digits = hex.slice(1);
+  const v = parseInt(digits.length === 3 ? digits.replace(/./g, "$&$&") : digits, 16);
+  return { r: (v >> 16) & 255, g: (v >> 8) & 255, b: v & 255 };
+};
+
+export const toGraphml = ({ nodes, edges }) => {
+  const nodeRows = nodes.map(({ id, ...n }) => flatFields(n));
+  const edgeRows = edges.map(({ id, from, to, ...e }) => flatFields(e));
+  // Key ids are positional: field names like "Tax class" aren't valid XML tokens
+  const nodeKeys = Array.from(fieldTypes(nodeRows));
+  const edgeKeys = Array.from(fieldTypes(edgeRows));
+  const keyLines = (prefix, kind, keys) =>
+    keys.map(([k, type], i) => `  <key id="${prefix}${i}" for="${kind}" attr.name="${escapeXml(k)}" attr.type="${type}"/>`);
+  const dataLines = (prefix, keys, row) =>
+    keys
+      .map(([k], i) => (row[k] == null ? "" : `\n      <data key="${prefix}${i}">${escapeXml(row[k])}</data>`))
+      .join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+${[...keyLines("n", "node", nodeKeys), ...keyLines("e", "edge", edgeKeys)].join("\n")}
+  <graph id="G" edgedefault="undirected">
+${nodes.map((n, i) => `    <node id="${escapeXml(n.id)}">${dataLines("n", nodeKeys, nodeRows[i])}\n    </node>`).join("\n")}
+${edges
+  .map((e, i) => `    <edge id="${e.id}" source="${escapeXml(e.from)}" target="${escapeXml(e.to)}">${dataLines("e", edgeKeys, edgeRows[i])}\n    </edge>`)
+  .join("\n")}
+  </graph>
+</graphml>
+`;
+};
+
+export const toGexf = ({ nodes, edges, groups }) => {
+  // label and weight are native GEXF fields; everything else is an attribute
+  const nodeRows = nodes.map(({ id, label, x, y, ...n }) => flatFields(n));
+  const edgeRows = edges.map(({ id, from, to, value, ...e }) => flatFields(e));
+  const nodeAttrs = Array.from(fieldTypes(nodeRows));
+  const edgeAttrs = Array.from(fieldTypes(edgeRows));
+  const attrDecl = (cls, attrs) =>
+    `    <attributes class="${cls}">\n${attrs
+      .map(([k, type], i) => `      <attribute id="${i}" title="${escapeXml(k)}" type="${type}"/>`)
+      .join("\n")}\n    </attributes>`;
+  const attvalues = (attrs, row) => {
+    const values = attrs
+      .map(([k], i) => (row[k] == null ? "" : `<attvalue for="${i}" value="${escapeXml(row[k])}"/>`))
+      .filter(Boolean);
+    return values.length ? `\n        <attvalues>${values.join("")}</attvalues>` : "";
+  };
+  const viz = (n) => {
+    const hex = nodeColor(n, groups);
+    const color = hex ? hexToRgb(hex) : null;
+    return [
+      color ? `\n        <viz:color r="${color.r}" g="${color.g}" b="${color.b}"/>` : "",
+      n.x != null ? `\n        <viz:position x="${n.x}" y="${n.y}" z="0"/>` : "",
+    ].join("");
+  };
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <graph mode="static" defaultedgetype="undirected">
+${attrDecl("node", nodeAttrs)}
+${attrDecl("edge", edgeAttrs)}
+    <nodes>
+${nodes
+  .map((n, i) => `      <node id="${escapeXml(n.id)}" label="${escapeXml(n.label)}">${attvalues(nodeAttrs, nodeRows[i])}${viz(n)}\n      </node>`)
+  .join("\n")}
+    </nodes>
+    <edges>
+${edges
+  .map(
+    (e, i) =>
+      `      <edge id="${e.id}" source="${escapeXml(e.from)}" target="${escapeXml(e.to)}" weight="${e.value ?? 1}">${attvalues(edgeAttrs, edgeRows[i])}\n      </edge>`
+  )
+  .join("\n")}
+    </edges>
+  </graph>
+</gexf>
+`;
+};
+
+export const toCytoscape = ({ nodes, edges, groups }) =>
+  JSON.stringify(
+    {
+      elements: {
+        nodes: nodes.map(({ x, y, ...n }) => ({
+          data: { ...flatFields(n), ...(nodeColor(n, groups) && { color: nodeColor(n, groups) }) },
+          ...(x != null && { position: { x, y } }),
+        })),
+        edges: edges.map(({ from, to, value, ...e }) => ({
+          data: { ...flatFields(e), source: from, target: to, weight: value ?? 1 },
+        })),
+      },
+    },
+    null,
+    2
+  );
+
+export const toJson = ({ nodes, edges, clusters }) =>
+  JSON.stringify(
+    {
+      nodes: nodes.map(dataFields),
+      edges: edges.map(({ from, to, value, ...e }) => ({ ...dataFields(e), source: from, target: to, weight: value ?? 1 })),
+      ...(clusters.length && { clusters }),
+    },
+    null,
+    2
+  );
+
+export const toEdgelist = ({ nodes, edges }) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const extra = Array.from(fieldTypes(edges.map(({ id, from, to, value, ...e }) => flatFields(e))).keys());
+  const header = ["source", "target", "weight", "source_label", "target_label", "source_group", "target_group", ...extra];
+  const rows = edges.map((e) => {
+    const fields = flatFields(e);
+    const a = byId.get(e.from);
+    const b = byId.get(e.to);
+    return [e.from, e.to, e.value ?? 1, a?.label, b?.label, a?.group, b?.group, ...extra.map((k) => fields[k])];
+  });
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(",")).join("\n") + "\n";
+};
+
+// ----------- HTML renderers (--renderer) -----------
+// canvas: vis-network, the full page; webgl: sigma.js, for big catalogs (needs layoutGraph)
+export const RENDERERS = { canvas: renderHtml, webgl: renderWebgl };
+
+// "auto" picks WebGL for laid-out graphs above WEBGL_NODE_THRESHOLD nodes
+export const pickRenderer = (graph, renderer = "auto") => {
+  if (renderer !== "auto") return renderer;
+  const laidOut = graph.nodes.every((n) => n.x != null);
+  return laidOut && graph.nodes.length > WEBGL_NODE_THRESHOLD ? "webgl" : "canvas";
+};
+
+const toHtml = (graph, options = {}) => RENDERERS[pickRenderer(graph, options.renderer)](graph, options);
+
+// Format name -> writer(graph, options) returning the file contents
+export const FORMATS = {
+  html: toHtml,
+  graphml: toGraphml,
+  gexf: toGexf,
+  cytoscape: toCytoscape,
+  json: toJson,
+  edgelist: toEdgelist,
+};
@@ -0,0 +1,448 @@
+import {
+  idSafe,
+  attributePrefix,
+  parseAttributeTag,
+  mergeAttribute,
+  attributeDef,
+  formatAttribute,
+  resolvePrefixes,
+  FILTER_ATTRIBUTES,
+} from "./tags.mjs";
+import { LANGUAGES } from "./synonyms.mjs";
+import { POLICY_ACTIONS, applyPolicy } from "./policy.mjs";
+import { LAYERS, resolveLayers, formatVariant } from "./catalog.mjs";
+import { PROJECTIONS, ASSOCIATIONS, SIMILARITY, projectProducts, projectTags } from "./projections.mjs";
+import { detectClusters } from "./clusters.mjs";
+import { addTagStats } from "./tagstats.mjs";
+import { bold, italic } from "./tooltips.mjs";
+
+// ----------- Options -----------
+/**
+ * Graph options, with the CLI flag each one comes from:
+ *   attributeTags  --attribute-tags   also draw "KEY:value" attribute tags as tag nodes
+ *   synonyms       --synonyms         Map from parseSynonyms
+ *   policy         --policy           rules from parsePolicy
+ *   layers         --layer            column layers, e.g. ["vendor", "category"]
+ *   projection     --projection       "products" | "tags" | null
+ *   similarity     --similarity       "jaccard" | "cosine"
+ *   minSimilarity  --min-similarity
+ *   topK           --top-k
+ *   association    --association      "count" | "lift" | "pmi"
+ *   minSupport     --min-support
+ *   clusters       --clusters
+ *   groups         config "groups": { product: { shape, color }, ... } over GROUP_STYLES
+ *   prefixes       config "prefixes": { WAT: { key, label, unit, type }, ... } over ATTRIBUTE_PREFIXES
+ */
+export const DEFAULT_OPTIONS = {
+  attributeTags: false,
+  synonyms: new Map(),
+  policy: [],
+  layers: [],
+  projection: null,
+  similarity: "jaccard",
+  minSimilarity: 0.2,
+  topK: 5,
+  association: "count",
+  minSupport: 2,
+  clusters: false,
+  groups: {},
+  prefixes: {},
+};
+
+// ----------- Group styles -----------
+// Shape and colour per node group; layer groups start from their LAYERS entry
+export const GROUP_STYLES = {
+  product: { shape: "dot", color: { background: "#6baed6", border: "#3182bd" } },
+  tag: { shape: "diamond", color: { background: "#fdae6b", border: "#e6550d" } }, // "hexagon" needs a newer vis
+  variant: { shape: "dot", color: { background: "#c7e9c0", border: "#31a354" } },
+};
+
+const resolveGroups = (layers, overrides = {}) =>
+  Object.fromEntries(
+    [...Object.keys(GROUP_STYLES), ...layers].map((name) => {
+      const base = GROUP_STYLES[name] ?? { shape: LAYERS[name].shape, color: LAYERS[name].color };
+      const override = overrides[name] ?? {};
+      return [name, { shape: override.shape ?? base.shape, color: { ...base.color, ...override.color } }];
+    })
+  );
+
+// Fill colour of a node: its own (cluster, diff status) or its group's
+export const nodeColor = (n, groups) => n.color?.background ?? groups[n.group]?.color.background;
+
+// Fills in defaults and throws on values the graph can't be built with
+export const resolveOptions = (options = {}) => {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  const { projection, similarity, association, minSimilarity, topK, minSupport } = resolved;
+  if (projection && !PROJECTIONS.includes(projection)) {
+    throw new Error(`Unknown projection '${projection}'. Use one of: ${PROJECTIONS.join(", ")}.`);
+  }
+  if (!SIMILARITY[similarity]) {
+    throw new Error(`Unknown similarity '${similarity}'. Use one of: ${Object.keys(SIMILARITY).join(", ")}.`);
+  }
+  if (!ASSOCIATIONS.includes(association)) {
+    throw new Error(`Unknown association '${association}'. Use one of: ${ASSOCIATIONS.join(", ")}.`);
+  }
+  if (!(Number.isInteger(minSupport) && minSupport > 0)) {
+    throw new Error("min-support must be a positive integer.");
+  }
+  if (!(minSimilarity >= 0 && minSimilarity <= 1) || !(Number.isInteger(topK) && topK > 0)) {
+    throw new Error("min-similarity must be between 0 and 1 and top-k a positive integer.");
+  }
+  const layers = resolveLayers(resolved.layers);
+  return {
+    ...resolved,
+    layers,
+    groups: resolveGroups(layers, resolved.groups),
+    prefixes: resolvePrefixes(resolved.prefixes),
+  };
+};
+
+// ----------- Build Graph (nodes + edges) -----------
+/**
+ * Nodes:
+ *  - Product (group: 'product', parsed attribute tags in `attrs`, Shopify `variants`,
+ *             policy `badges`, `handle`, and `details` for the page's product panel:
+ *             { fields, columns, images } from parseProducts plus `attributes` as text,
+ *             each left out when empty)
+ *  - Tag     (group: 'tag', `labels` per language for synonym concepts,
+ *             `operational` + hidden for policy "hidden" tags, `details` for the
+ *             page's tag panel, see lib/tagstats.mjs)
+ *  - Layer   (group: 'vendor' | 'type' | 'category', with --layer)
+ * each with a `title` tooltip (lines of text, see lib/tooltips.mjs).
+ * Edges:
+ *  - Product -> Tag
+ *  - Product -> Layer value, parent category -> child category
+ */
+const tagId = (synonyms, t) => synonyms.get(t.toLowerCase())?.id ?? `tag:${idSafe(t)}`;
+
+// The bipartite graph, before projections and clusters
+const buildProductGraph = (products, { attributeTags, synonyms, policy, layers, groups, prefixes }) => {
+  const nodesMap = new Map(); // id -> node
+  const edges = [];
+  const policyCounts = Object.fromEntries(POLICY_ACTIONS.map((a) => [a, 0]));
+
+  let productCount = 0;
+  let edgeCount = 0;
+  let attributeTagCount = 0;
+  let variantCount = 0;
+  const unparsedAttributeTags = new Map(); // tag -> uses, for tags with a known key whose value didn't parse
+
+  // Adds the layer node(s) for one product value; returns the id the product links to
+  const addLayerNodes = (name, value) => {
+    const layer = LAYERS[name];
+    const segments = layer.hierarchy
+      ? value.split(layer.hierarchy).map((p) => p.trim()).filter(Boolean)
+      : [value];
+    let parentId = null;
+    segments.forEach((segment, depth) => {
+      const id = `${name}:${segments.slice(0, depth + 1).map(idSafe).join("/")}`;
+      if (!nodesMap.has(id)) {
+        const trail = segments.slice(0, depth + 1).join(" > ");
+        nodesMap.set(id, {
+          id,
+          label: segment,
+          title: [[bold(layer.label)], [trail]],
+          group: name,
+          shape: groups[name].shape,
+          value: 1,
+        });
+        if (parentId) {
+          edges.push({ from: parentId, to: id });
+          edgeCount++;
+        }
+      }
+      parentId = id;
+    });
+    return parentId;
+  };
+
+  for (const { handle, title, tags: rawTags, variants, fields, columns = [], images = [] } of products.values()) {
+    const pId = handle ? `product:${idSafe(handle)}` : `product:${idSafe(title)}`;
+    const tags = [];
+    const attrs = {};
+    const badges = [];
+    for (const t of rawTags) {
+      const attr = parseAttributeTag(t, prefixes);
+      if (attr) {
+        attrs[attr.key] = mergeAttribute(attrs[attr.key], attr.value);
+        attributeTagCount++;
+        if (!attributeTags) continue;
+      } else if (attributePrefix(t, prefixes)) {
+        unparsedAttributeTags.set(t, (unparsedAttributeTags.get(t) ?? 0) + 1);
+      }
+      const ruled = applyPolicy(policy, t);
+      if (ruled) policyCounts[ruled.action]++;
+      if (ruled?.action === "drop") continue;
+      if (ruled?.action === "badge") {
+        if (!badges.includes(ruled.value)) badges.push(ruled.value);
+        continue;
+      }
+      if (ruled?.action === "attribute") {
+        attrs[ruled.key] = mergeAttribute(attrs[ruled.key], ruled.value);
+        continue;
+      }
+      tags.push(t);
+    }
+
+    if (!nodesMap.has(pId)) {
+      const attributes = Object.entries(attrs).map(([k, v]) => formatAttribute(k, v, prefixes));
+      const attrLines = attributes.map((text) => [text]);
+      // Only the parts the panels have something to show for
+      const details = Object.entries({ fields, columns, images, attributes }).filter(
+        ([, part]) => Object.keys(part).length
+      );
+      const variantLines = variants.length
+        ? [[bold(`Variants (${variants.length})`)], ...variants.map((v) => [`• ${formatVariant(v)}`])]
+        : [];
+      nodesMap.set(pId, {
+        id: pId,
+        label: title,
+        title: [
+          [bold("Product")],
+          [title],
+          ...(handle ? [[italic(handle)]] : []),
+          ...(badges.length ? [[`🏷 ${badges.join(" · ")}`]] : []),
+          ...attrLines,
+          ...variantLines,
+        ],
+        group: "product",
+        shape: groups.product.shape,
+        value: 1,
+        ...(handle && { handle }),
+        attrs,
+        variants,
+        ...(details.length && { details: Object.fromEntries(details) }),
+        ...(badges.length && { badges, borderWidth: 3 }),
+      });
+      productCount++;
+      variantCount += variants.length;
+    }
+
+    const linked = new Set(); // synonyms may point several tags at one concept
+    for (const t of tags) {
+      const tid = tagId(synonyms, t);
+      const concept = synonyms.get(t.toLowerCase());
+      const existing = nodesMap.get(tid);
+      if (concept && existing && !existing.labels) {
+        // A plain tag with the same id came first: the concept's data wins, and
+        // that tag is kept as one of its aliases
+        Object.assign(existing, { label: concept.label, labels: concept.labels, aliases: [existing.label] });
+      }
+      if (!existing) {
+        nodesMap.set(tid, {
+          id: tid,
+          label: concept ? concept.label : t,
+          title: [[bold("Tag")], [t]],
+          group: "tag",
+          shape: groups.tag.shape,
+          value: 1,
+          ...(concept && { labels: concept.labels, aliases: [] }),
+          ...(applyPolicy(policy, t)?.action === "hidden" && { operational: true, hidden: true, physics: false }),
+        });
+      }
+      const node = nodesMap.get(tid);
+      if (node.aliases && !node.aliases.includes(t)) node.aliases.push(t);
+      if (linked.has(tid)) continue;
+      linked.add(tid);
+      edges.push({ from: pId, to: tid });
+      edgeCount++;
+    }
+
+    for (const name of layers) {
+      const value = fields[name];
+      if (!value) continue;
+      edges.push({ from: pId, to: addLayerNodes(name, value) });
+      edgeCount++;
+    }
+  }
+
+  // Concept tooltips list every language label and the raw tags folded into them
+  for (const node of nodesMap.values()) {
+    if (!node.labels) continue;
+    const langLines = LANGUAGES.filter((l) => node.labels[l]).map((l) => [`${l.toUpperCase()}: ${node.labels[l]}`]);
+    node.title = [[bold("Tag")], ...langLines, [italic(node.aliases.join(", "))]];
+  }
+
+  return { nodesMap, edges, productCount, edgeCount, attributeTagCount, unparsedAttributeTags, variantCount, policyCounts };
+};
+
+// ----------- Diff (diff <old.csv> <new.csv>) -----------
+/**
+ * Merges the graphs of two exports into one. Every node and edge gets a
+ * `status` (added, removed, changed = retitled product, unchanged) and its
+ * colour; removed edges are dashed. Products match by their Handle-based id,
+ * tags by tag id. Also returns a change log for the JSON file.
+ */
+export const STATUS_COLORS = { added: "#31a354", removed: "#de2d26", changed: "#fd8d3c", unchanged: "#bdbdbd" };
+
+const diffGraphs = (before, after, { oldSource, newSource }) => {
+  const nodesMap = new Map();
+  const edges = [];
+  const edgeKey = (e) => `${e.from}\t${e.to}`;
+
+  for (const [id, node] of after.nodesMap) {
+    const old = before.nodesMap.get(id);
+    const retitled = old && node.group === "product" && old.label !== node.label;
+    const status = !old ? "added" : retitled ? "changed" : "unchanged";
+    nodesMap.set(id, { ...node, status, ...(retitled && { title: [...node.title, [`Was: ${old.label}`]] }) });
+  }
+  for (const [id, node] of before.nodesMap) {
+    if (!nodesMap.has(id)) nodesMap.set(id, { ...node, status: "removed" });
+  }
+  for (const node of nodesMap.values()) {
+    const color = STATUS_COLORS[node.status];
+    node.color = { background: color, border: color };
+    node.title = [...node.title, [`Status: ${node.status}`]];
+  }
+
+  const beforeEdges = new Set(before.edges.map(edgeKey));
+  const afterEdges = new Set(after.edges.map(edgeKey));
+  for (const e of after.edges) edges.push({ ...e, status: beforeEdges.has(edgeKey(e)) ? "unchanged" : "added" });
+  for (const e of before.edges) {
+    if (!afterEdges.has(edgeKey(e))) edges.push({ ...e, status: "removed", dashes: true });
+  }
+
+  // ---- Change log ----
+  const label = (id) => nodesMap.get(id).label;
+  const ofGroup = (map, group) => Array.from(map.values()).filter((n) => n.group === group);
+  const tagsOf = (graph, pid) =>
+    new Set(graph.edges.filter((e) => e.from === pid && graph.nodesMap.get(e.to)?.group === "tag").map((e) => e.to));
+  const productEntry = (n) => ({ id: n.id, title: n.label });
+
+  const products = ofGroup(nodesMap, "product");
+  const productTags = [];
+  for (const p of products.filter((n) => n.status === "unchanged" || n.status === "changed")) {
+    const was = tagsOf(before, p.id);
+    const now = tagsOf(after, p.id);
+    const added = Array.from(now).filter((t) => !was.has(t)).map(label);
+    const removed = Array.from(was).filter((t) => !now.has(t)).map(label);
+    if (added.length || removed.length) productTags.push({ id: p.id, title: p.label, added, removed });
+  }
+  const tags = ofGroup(nodesMap, "tag");
+  const changes = {
+    old: oldSource,
+    new: newSource,
+    products: {
+      added: products.filter((n) => n.status === "added").map(productEntry),
+      removed: products.filter((n) => n.status === "removed").map(productEntry),
+      retitled: products
+        .filter((n) => n.status === "changed")
+        .map((n) => ({ id: n.id, from: before.nodesMap.get(n.id).label, to: n.label })),
+    },
+    productTags,
+    tags: {
+      appeared: tags.filter((n) => n.status === "added").map((n) => n.label),
+      disappeared: tags.filter((n) => n.status === "removed").map((n) => n.label),
+    },
+  };
+
+  return {
+    nodesMap,
+    edges,
+    productCount: products.length,
+    edgeCount: edges.length,
+    attributeTagCount: after.attributeTagCount,
+    unparsedAttributeTags: after.unparsedAttributeTags,
+    variantCount: after.variantCount,
+    policyCounts: after.policyCounts,
+    changes,
+  };
+};
+
+// ----------- Graph -----------
+/**
+ * Turns a bipartite (or diff) graph into the model every output format is
+ * written from: tag stats counted, projection and clusters applied, edges given stable ids,
+ * plus the stats and attribute filter bounds the page header shows.
+ *
+ * Returns { nodes, edges, clusters, attributeFilters, layers, groups, stats, changes }.
+ */
+const finishGraph = (graph, options) => {
+  addTagStats(graph); // before a projection drops the products
+  const projectedEdgeCount =
+    options.projection === "products"
+      ? projectProducts(graph, options)
+      : options.projection === "tags"
+        ? projectTags(graph, options)
+        : 0;
+  const clusters = options.clusters ? detectClusters(graph) : [];
+
+  const nodes = Array.from(graph.nodesMap.values());
+  const groupCount = (group) => nodes.filter((n) => n.group === group).length;
+
+  // Range filter bounds over the product attributes
+  const productNodes = nodes.filter((n) => n.group === "product");
+  const attributeFilters = FILTER_ATTRIBUTES.map(({ key, label }) => {
+    const values = productNodes.flatMap((n) => {
+      const v = n.attrs[key];
+      if (v == null) return [];
+      return typeof v === "number" ? [v] : [v.min, v.max];
+    });
+    if (!values.length) return null;
+    const def = attributeDef(key, options.prefixes);
+    return {
+      key,
+      label: label || def.label,
+      unit: def.unit,
+      min: Math.floor(Math.min(...values)),
+      max: Math.ceil(Math.max(...values)),
+    };
+  }).filter(Boolean);
+
+  return {
+    nodes,
+    edges: graph.edges.map((e, i) => ({ id: `e${i}`, ...e })),
+    clusters,
+    attributeFilters,
+    layers: options.layers,
+    groups: options.groups,
+    stats: {
+      productCount: groupCount("product"),
+      tagCount: groupCount("tag"),
+      variantCount: graph.variantCount,
+      edgeCount: graph.edges.length,
+      projectedEdgeCount,
+      attributeTagCount: graph.attributeTagCount,
+      unparsedAttributeTags: Array.from(graph.unparsedAttributeTags),
+      operationalCount: nodes.filter((n) => n.operational).length,
+      policyCounts: graph.policyCounts,
+      layerCounts: options.layers.map((name) => [LAYERS[name].label, groupCount(name)]),
+    },
+    ...(graph.changes && { changes: graph.changes }),
+  };
+};
+
+// products: the `products` Map from parseProducts
+export const buildGraph = (products, options = {}) => {
+  const resolved = resolveOptions(options);
+  return finishGraph(buildProductGraph(products, resolved), resolved);
+};
+
+// Both catalogs from parseProducts; the change log names them by their `source`
+export const buildDiffGraph = (before, after, options = {}) => {
+  const resolved = resolveOptions(options);
+  if (resolved.projection || resolved.clusters) {
+    throw new Error("diff colours nodes by change status; it can't be combined with --projection or --clusters.");
+  }
+  const graph = diffGraphs(
+    buildProductGraph(before.products, resolved),
+    buildProductGraph(after.products, resolved),
+    { oldSource: before.source, newSource: after.source }
+  );
+  return finishGraph(graph, resolved);
+};
+
+// ----------- Summaries -----------
+// "3 dropped, 12 as badges, 40 hidden"
+export const describePolicy = (policyCounts) =>
+  POLICY_ACTIONS.filter((a) => policyCounts[a])
+    .map((a) => `${policyCounts[a]} ${a === "hidden" ? "hidden" : a === "drop" ? "dropped" : `as ${a}s`}`)
+    .join(", ");
+
+// "+1 / −1 products, 1 retitled, 1 retagged, +0 / −1 tags"
+export const describeChanges = (changes) =>
+  changes
+    ? `+${changes.products.added.length} / −${changes.products.removed.length} products, ` +
+      `${changes.products.retitled.length} retitled, ${changes.productTags.length} retagged, ` +
+      `+${changes.tags.appeared.length} / −${changes.tags.disappeared.length} tags`
+    : "";
@@ -0,0 +1,1252 @@
+import path from "path";
+import { LANGUAGES } from "./synonyms.mjs";
+import { LAYERS } from "./catalog.mjs";
+import { STATUS_COLORS, describePolicy, describeChanges } from "./graph.mjs";
+import { DEFAULT_PHYSICS, mergeDeep } from "./layout.mjs";
+import { GUNZIP, LOAD_SHARDS, embedData, escapeHtml, scriptJson, scriptTag } from "./assets.mjs";
+import { RESULTS_PANEL, SEARCH_BOX, SEARCH_SCRIPT, SEARCH_STYLE } from "./search.mjs";
+import { LOADING_OVERLAY, PAGE_SCRIPT, PAGE_STYLE } from "./page.mjs";
+
+// ----------- Page defaults (config: layout, batchSize) -----------
+export const DEFAULT_LAYOUT = {
+  default: "force",
+  hierarchical: { direction: "LR", nodeSpacing: 200, treeSpacing: 250, levelSeparation: 200 },
+};
+
+export const DEFAULT_BATCH_SIZE = 400; // bigger = faster, smaller = smoother progress
+
+// "729 products • 318 tags • 3642 edges • policy: …" for the page header
+export const statsText = (graph) => {
+  const { productCount, tagCount, edgeCount, layerCounts, policyCounts } = graph.stats;
+  const diffSummary = describeChanges(graph.changes);
+  const policySummary = describePolicy(policyCounts);
+  return `${productCount} products • ${tagCount} tags • ${layerCounts.map(([label, n]) => `${n} ${label.toLowerCase()} nodes • `).join("")}${edgeCount} edges${diffSummary ? ` • ${diffSummary}` : ""}${policySummary ? ` • policy: ${policySummary} tag uses` : ""}`;
+};
+
+// ----------- HTML Template with embedded data -----------
+/**
+ * Nodes that already carry x / y (see layoutGraph) are drawn where they are:
+ * the page skips the in-browser stabilization and opens with physics off.
+ *
+ * Options (all from the config file):
+ *   title      page title and heading
+ *   physics    merged over DEFAULT_PHYSICS (vis-network physics options)
+ *   layout     { default: "force" | "hierarchical", hierarchical: { direction, ... } }
+ *   batchSize  nodes added per loading step
+ * and from the CLI:
+ *   assets     library sources to embed instead of loading them from unpkg (see scriptTag)
+ *   compress   gzip the embedded nodes and edges (see embedData)
+ *   dataUrl    fetch nodes and edges from this manifest instead of embedding them (see renderSite)
+ *   shopDomain the shop's domain (e.g. london-tea.myshopify.com), for the product panel's
+ *              storefront and admin links
+ */
+export const renderHtml = (
+  graph,
+  { title, physics, layout, batchSize = DEFAULT_BATCH_SIZE, assets, compress = false, dataUrl, shopDomain } = {}
+) => {
+  const { nodes, edges, clusters, attributeFilters, layers, groups, changes } = graph;
+  const pagePhysics = mergeDeep(DEFAULT_PHYSICS, physics);
+  const pageLayout = mergeDeep(DEFAULT_LAYOUT, layout);
+  const laidOut = nodes.some((n) => n.x != null);
+  const { tagCount, variantCount, operationalCount } = graph.stats;
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title ?? (changes ? "Shopify Catalog Changes" : "Shopify Product–Tag Graph"))}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<style>${PAGE_STYLE}
+  .dot { width:10px; height:10px; border-radius:50%; display:inline-block; background:${groups.product.color.background}; }
+  .diamond { width:12px; height:12px; display:inline-block; transform:rotate(45deg); background:${groups.tag.color.background}; }
+  .dot.small { width:7px; height:7px; background:${groups.variant.color.background}; }
+  .swatch { width:10px; height:10px; display:inline-block; border-radius:2px; }
+  .filters { display:flex; gap:14px; align-items:center; flex-wrap:wrap; font-size: 13px; }
+  .filters:empty { display:none; }
+  .range { display:inline-flex; align-items:center; gap:4px; }
+  .range input[type="range"] { width: 80px; }
+  .range output { min-width: 72px; font-variant-numeric: tabular-nums; opacity: 0.8; }
+
+  /* Cluster legend */
+  #clusters {
+    position: fixed; left: 12px; bottom: 12px; z-index: 10;
+    max-height: 40vh; overflow: auto; min-width: 220px; max-width: 340px;
+    background: rgba(255,255,255,0.95); border: 1px solid #e5e5e5; border-radius: 8px;
+    padding: 8px 10px; font-size: 12px;
+  }
+  #clusters .cluster { display:flex; align-items:center; gap:6px; padding: 2px 0; }
+  #clusters .cluster .name { flex: 1; cursor: pointer; }
+  #clusters .cluster .name:hover { text-decoration: underline; }
+  #clusters .count { opacity: 0.6; font-variant-numeric: tabular-nums; }
+${SEARCH_STYLE}
+  /* Ego view breadcrumb */
+  .crumbs { padding: 6px 12px; border-bottom: 1px solid #e5e5e5; font-size: 13px; display:flex; gap: 8px; align-items:center; }
+  .crumbs[hidden] { display: none; }
+  .crumbs a { color: inherit; }
+  .crumbs .notice { color: #b45309; }
+
+  /* Details panel */
+  #details .images { display:flex; gap: 6px; overflow-x: auto; margin: 4px 0; }
+  #details .images img { height: 72px; border-radius: 4px; border: 1px solid #e5e5e5; }
+  #details dl { display:grid; grid-template-columns: auto 1fr; gap: 2px 8px; margin: 0; }
+  #details dt { opacity: 0.7; }
+  #details dd { margin: 0; white-space: pre-line; max-height: 8em; overflow: auto; overflow-wrap: anywhere; }
+  .panel .heading { font-weight: 600; margin: 8px 0 2px; }
+  .panel .hint { opacity: 0.7; }
+  .chips { display:flex; flex-wrap: wrap; gap: 4px; }
+  .chip { font-size: 12px; padding: 2px 8px; border: 1px solid ${groups.tag.color.border}; border-radius: 999px; background: #fff; cursor: pointer; }
+  .chip:hover { background: ${groups.tag.color.background}; }
+  .chip.hidden { opacity: 0.5; }
+  #details table { width: 100%; border-collapse: collapse; }
+  #details td, #details th { padding: 1px 4px; text-align: left; vertical-align: top; }
+  #details .breakdown td:nth-child(n+2) { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+  #details .products th { cursor: pointer; user-select: none; border-bottom: 1px solid #e5e5e5; white-space: nowrap; }
+  #details .products td.name { cursor: pointer; }
+  #details .products td.name:hover { text-decoration: underline; }
+  #details .products tr.hidden { opacity: 0.5; }
+
+  /* Connect two nodes */
+  #connect.active { background: #dbeafe; }
+  #paths input[type="number"] { width: 48px; }
+</style>
+</head>
+<body>
+<header>
+  <strong>${escapeHtml(changes ? `Catalog changes: ${path.basename(changes.old)} → ${path.basename(changes.new)}` : title ?? "Product–Tag Mindmap")}</strong>
+
+  ${SEARCH_BOX}
+
+  <label><input type="checkbox" id="physics"${laidOut ? "" : " checked"} /> Physics</label>
+
+  <select id="layout">
+    <option value="force"${pageLayout.default === "force" ? " selected" : ""}>Force</option>
+    <option value="hier"${pageLayout.default === "hierarchical" ? " selected" : ""}>Hierarchical</option>
+  </select>
+
+  <button id="fit">Fit to screen</button>
+
+  <button id="exportPositions" title="Download node positions for the next build (--seed-positions)">Export positions</button>
+
+  <span>
+    <button id="egoView" title="Show only the selected node and the nodes around it">Ego view</button>
+    <select id="egoDepth" title="Hops around the node">
+      <option value="1">1 hop</option>
+      <option value="2">2 hops</option>
+      <option value="3">3 hops</option>
+    </select>
+  </span>
+
+  <button id="connect" title="Click two nodes to see the shortest paths between them">Connect two nodes</button>
+
+  ${operationalCount ? `<label title="Tags hidden by the tag policy"><input type="checkbox" id="operationalToggle" /> Operational tags (${operationalCount})</label>` : ""}
+
+  <select id="lang" title="Tag language">
+    ${LANGUAGES.map((l) => `<option value="${l}">${l.toUpperCase()}</option>`).join("")}
+  </select>
+
+  <div class="filters" id="filters"></div>
+
+  ${variantCount ? `<label title="Double-click a product to expand just its variants"><input type="checkbox" id="variantsToggle" /> Variants</label>` : ""}
+
+  <div class="legend">
+    ${changes ? Object.entries(STATUS_COLORS).map(([status, color]) => `<span class="badge"><span class="swatch" style="background:${color}"></span>${status}</span>`).join("\n    ") : ""}
+    <span class="badge"><span class="dot"></span>Products</span>
+    ${tagCount ? `<span class="badge"><span class="diamond"></span>Tags</span>` : ""}
+    ${variantCount ? `<span class="badge"><span class="dot small"></span>Variants</span>` : ""}
+    ${layers.map((name) => `<span class="badge"><span class="swatch" style="background:${groups[name].color.background}"></span>${LAYERS[name].label}</span>`).join("\n    ")}
+  </div>
+
+  ${dataUrl ? `<span class="progress-text" id="dataStatus"></span>` : ""}
+
+  <div class="stats">${statsText(graph)}</div>
+</header>
+<nav id="crumbs" class="crumbs" hidden>
+  <button id="crumbBack" title="Back">←</button>
+  <button id="crumbForward" title="Forward">→</button>
+  <span id="crumbTrail"></span>
+  <span id="crumbNotice" class="notice" hidden></span>
+</nav>
+<div id="network"></div>
+<div class="panels">
+  ${RESULTS_PANEL}
+  <aside id="details" class="panel" hidden>
+    <div class="panel-head"><strong id="detailsTitle"></strong><button id="detailsClose" title="Close">×</button></div>
+    <div id="detailsBody"></div>
+  </aside>
+  <aside id="paths" class="panel" hidden>
+    <div class="panel-head"><strong id="pathsTitle"></strong><button id="pathsClose" title="Leave connect mode">×</button></div>
+    <label>Max hops <input type="number" id="maxHops" min="1" max="12" value="4" /></label>
+    <div id="pathsBody"></div>
+  </aside>
+</div>
+${clusters.length ? `<div id="clusters"><strong>Clusters</strong></div>` : ""}
+
+${LOADING_OVERLAY}
+
+<!-- vis-network -->
+${scriptTag("vis-network", assets)}
+<script>${compress ? GUNZIP : ""}${dataUrl ? LOAD_SHARDS : ""}${SEARCH_SCRIPT}
+  // ---- Data embedded (or fetched from dataUrl, see renderSite) ----
+  const initialNodes = ${embedData(dataUrl ? [] : nodes, compress)};
+  const initialEdges = ${embedData(dataUrl ? [] : edges, compress)};
+  const dataUrl = ${scriptJson(dataUrl ?? null)};
+  const attributeFilters = ${scriptJson(attributeFilters)};
+  const clusters = ${scriptJson(clusters)};
+
+  // Positions computed at build time: no stabilization needed
+  const laidOut = ${laidOut};
+
+  // Progressive loading config
+  const BATCH_SIZE = ${batchSize}; // tune: bigger=faster, smaller=smoother
+
+  const container = document.getElementById('network');
+
+  // Start with empty datasets and progressively add
+  const data = {
+    nodes: new vis.DataSet([]),
+    edges: new vis.DataSet([]),
+  };
+
+  // Helper: freeze current layout (keep physics look but stop moving)
+  function freezeLayout(network, data) {
+    network.stopSimulation();
+    const ids = data.nodes.getIds();
+    const pos = network.getPositions(ids); // { id: {x, y} }
+    const updates = ids.map(id => ({ id, x: pos[id].x, y: pos[id].y }));
+    data.nodes.update(updates);
+    network.setOptions({ physics: { enabled: false } });
+  }
+
+  const commonOptions = {
+    interaction: {
+      hover: true,
+      multiselect: true,
+      dragNodes: true,
+      navigationButtons: true,
+      keyboard: { enabled: true },
+    },
+    nodes: {
+      font: { size: 12 },
+      scaling: { min: 10, max: 30 },
+    },
+    edges: {
+      arrows: { to: false },
+      smooth: { type: 'dynamic' },
+      color: { color: "#e5e7eb", opacity: 0.7 },
+      selectionWidth: 3,
+      scaling: { min: 1, max: 6 }, // weighted edges (projections) carry a value
+    },
+    groups: {
+      ${Object.entries(groups)
+        .map(([group, style]) => `${group}: ${scriptJson({ ...style, ...(group === "variant" && { size: 6 }) })},`)
+        .join("\n      ")}
+    },
+    physics: ${scriptJson(laidOut ? { ...pagePhysics, enabled: false } : pagePhysics)},
+    layout: { hierarchical: { enabled: false } }
+  };
+
+  let network = null;
+
+  // Tooltips come as lines of text runs (see lib/tooltips.mjs); built as elements,
+  // so no product title or tag is ever read as markup
+  const tooltip = (lines) => {
+    const el = document.createElement('div');
+    lines.forEach((runs, i) => {
+      if (i) el.appendChild(document.createElement('br'));
+      runs.forEach(run => {
+        if (typeof run === 'string') return el.appendChild(document.createTextNode(run));
+        const styled = document.createElement(run.b != null ? 'b' : 'i');
+        styled.textContent = run.b != null ? run.b : run.i;
+        el.appendChild(styled);
+      });
+    });
+    return el;
+  };
+  const withTooltip = (item) => (item.title ? { ...item, title: tooltip(item.title) } : item);
+
+  // Resting edge colour; weighted co-occurrence edges show their strength as opacity
+  // diff edges are coloured by status instead
+  const statusColors = ${scriptJson(STATUS_COLORS)};
+  const edgeColor = (e) => {
+    if (e.status && e.status !== 'unchanged') return { color: statusColors[e.status] };
+    if (e.strength != null) return { color: "#6b7280", opacity: 0.15 + 0.85 * e.strength };
+    return { color: "#e5e7eb" };
+  };
+
+${PAGE_SCRIPT}
+  let allLoaded = !dataUrl; // every node is in data.nodes (once the batches are added)
+
+  const addEdges = edgeQueue(
+    (id) => !!data.nodes.get(id),
+    (ready) => data.edges.add(ready.map(e => ({ ...withTooltip(e), color: edgeColor(e) })))
+  );
+
+  // Create the network, add edges, stabilize, freeze, fit, hide loader
+  const startNetwork = () => {
+    network = new vis.Network(container, data, commonOptions);
+    addEdges(initialEdges);
+
+    const showGraph = () => {
+      if (layoutSel.value === 'hier') applyLayout('hier');
+      dropMissingEgo();
+      refreshFilters(); // a search typed while loading, or an ego view from the URL
+      syncEgoControls();
+      // Fit, then fade out loader on the next frame for smoother UX
+      network.once('afterDrawing', () => {
+        setTimeout(() => loadingEl.classList.add('hide'), 150);
+        fitVisible();
+      });
+    };
+
+    // After the force layout stabilizes, freeze it and hide loader; a laid-out graph
+    // shows on the next tick (a small one gets here before the controls below are set up)
+    if (laidOut) {
+      setTimeout(showGraph, 0);
+    } else {
+      network.once('stabilizationIterationsDone', () => {
+        freezeLayout(network, data);
+        showGraph();
+      });
+    }
+  };
+
+  // Add nodes in batches so the UI can update the counter smoothly
+  const addNodesInBatches = (startIndex = 0) => {
+    const end = Math.min(startIndex + BATCH_SIZE, totalNodes);
+    const chunk = initialNodes.slice(startIndex, end);
+    if (chunk.length) {
+      data.nodes.add(chunk.map(withTooltip));
+      loadedNodes += chunk.length;
+      updateProgress();
+    }
+    if (end < totalNodes) {
+      setTimeout(() => addNodesInBatches(end), 0);
+    } else {
+      // All nodes added — now create the network
+      startNetwork();
+    }
+  };
+
+  // A data file: add its nodes and whatever edges are complete. A laid-out
+  // graph opens on the first file; otherwise the network waits for all of them
+  const addShard = (shard, manifest) => {
+    totalNodes = manifest.nodeCount;
+    shard.nodes.forEach(n => initialNodes.push(n));
+    shard.edges.forEach(e => initialEdges.push(e));
+    data.nodes.add(shard.nodes.map(withTooltip));
+    loadedNodes += shard.nodes.length;
+    updateProgress();
+    if (network) {
+      addEdges(shard.edges);
+      refreshFilters();
+      syncEgoControls();
+    } else if (laidOut) {
+      startNetwork();
+    }
+  };
+
+  // Kick off progressive load; data files come one by one, a searched neighbourhood first
+  updateProgress();
+  if (dataUrl) {
+    loadShards(dataUrl, {
+      query: () => finder.terms(search.value),
+      onShard: addShard,
+      onProgress: (p) => { bytes = p; updateProgress(); },
+    }).then(() => {
+      allLoaded = true;
+      if (network && dropMissingEgo()) {
+        syncEgoControls();
+        highlight(search.value);
+      }
+      if (!network) startNetwork();
+      else if (!search.value) fitVisible();
+      updateProgress();
+    }).catch((err) => {
+      textEl.textContent = 'Could not load the graph data (' + err.message + '). Serve this folder over HTTP; browsers block data files on file:// pages.';
+      loadingEl.classList.remove('hide');
+    });
+  } else {
+    addNodesInBatches(0);
+  }
+
+  // ---- Controls ----
+  const search = document.getElementById('search');
+  const physicsToggle = document.getElementById('physics');
+  const layoutSel = document.getElementById('layout');
+  const fitBtn = document.getElementById('fit');
+
+  const fitVisible = () => {
+    if (!network) return;
+    const visibleIds = data.nodes.get({ filter: n => !n.hidden, fields: ['id'] }).map(n => n.id);
+    if (visibleIds.length) {
+      network.fit({ nodes: visibleIds, animation: { duration: 600, easingFunction: 'easeInOutCubic' }});
+    }
+  };
+
+  // ---- Attribute filters ----
+  // key -> { min, max } for every slider narrowed from its full range
+  const filterState = {};
+
+  const attrRange = (v) => typeof v === 'number' ? { min: v, max: v } : v;
+
+  // Products without the attribute never match a narrowed filter
+  const passesFilters = (n) => {
+    if (n.group !== 'product') return true;
+    return Object.keys(filterState).every(key => {
+      const v = n.attrs && n.attrs[key];
+      if (v == null) return false;
+      const r = attrRange(v);
+      return r.max >= filterState[key].min && r.min <= filterState[key].max;
+    });
+  };
+
+  // Search matches every language label of a concept, not just the one shown
+  const finder = createSearch({
+    nodes: () => data.nodes.get(),
+    node: (id) => data.nodes.get(id),
+    neighbours: (id) => (network ? network.getConnectedNodes(id) : []),
+  });
+
+  // Policy "hidden" tags stay out of view (and out of physics) until switched on
+  const operationalToggle = document.getElementById('operationalToggle');
+  // Unticked clusters in the legend are hidden the same way
+  const hiddenClusters = new Set();
+  const layerHidden = (n) =>
+    (!!n.operational && !(operationalToggle && operationalToggle.checked)) ||
+    (n.cluster != null && hiddenClusters.has(n.cluster));
+
+  const highlight = (query) => {
+    if (!network) return;
+    const found = finder.run(query);
+    const allIds = data.nodes.getIds();
+    const filtering = Object.keys(filterState).length > 0;
+    if (!found) ui.showResults(null);
+    if (!found && !filtering && !ego) {
+      const hiddenIds = new Set(data.nodes.get({ filter: layerHidden, fields: ['id'] }).map(n => n.id));
+      data.nodes.update(allIds.map(id => ({ id, hidden: hiddenIds.has(id), opacity: 1 })));
+      data.edges.update(data.edges.get().map(e => ({
+        id: e.id,
+        hidden: hiddenIds.has(e.from) || hiddenIds.has(e.to),
+      })));
+      fitVisible();
+      showPaths();
+      return;
+    }
+    const inView = ego ? egoIds() : null;
+    const allowed = new Set(data.nodes.get({
+      filter: n => passesFilters(n) && !layerHidden(n) && (!inView || inView.has(n.id)),
+      fields: ['id'],
+    }).map(n => n.id));
+
+    let keep = allowed;
+    if (found) {
+      const matches = found.filter(id => allowed.has(id));
+      ui.showResults(matches, (id) => data.nodes.get(id));
+
+      keep = new Set(matches);
+      matches.forEach(mid => {
+        network.getConnectedNodes(mid).forEach(nid => {
+          if (allowed.has(nid)) keep.add(nid);
+        });
+      });
+    }
+
+    // Drop tags that no visible product points to any more
+    if (filtering) {
+      const orphans = Array.from(keep).filter(id => {
+        const n = data.nodes.get(id);
+        return n.group !== 'product' &&
+          !network.getConnectedNodes(id).some(nid => keep.has(nid));
+      });
+      orphans.forEach(id => keep.delete(id));
+    }
+
+    data.nodes.update(allIds.map(id => ({ id, hidden: !keep.has(id) })));
+    data.edges.update(data.edges.getIds().map(eid => {
+      const e = data.edges.get(eid);
+      const show = keep.has(e.from) && keep.has(e.to);
+      return { id: eid, hidden: !show };
+    }));
+    fitVisible();
+    showPaths();
+  };
+
+  // Select a node and zoom to it (from the side panels)
+  const focusNode = (id) => {
+    network.selectNodes([id]);
+    network.focus(id, { scale: 1.5, animation: { duration: 600, easingFunction: 'easeInOutCubic' } });
+  };
+
+  // Autocomplete while typing; a result in the panel zooms to its node and opens its details
+  const ui = searchBox({
+    input: search,
+    finder,
+    onQuery: highlight,
+    focus: (id) => {
+      focusNode(id);
+      showDetails(id);
+    },
+  });
+
+  if (operationalToggle) {
+    operationalToggle.addEventListener('change', (e) => {
+      if (!network) return;
+      const ids = data.nodes.get({ filter: n => n.operational, fields: ['id'] }).map(n => n.id);
+      data.nodes.update(ids.map(id => ({ id, physics: e.target.checked })));
+      highlight(search.value);
+    });
+  }
+
+  // ---- Cluster legend ----
+  // Checkbox shows / hides a cluster; clicking its name focuses it
+  const clustersEl = document.getElementById('clusters');
+  clusters.forEach(c => {
+    const row = document.createElement('label');
+    row.className = 'cluster';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = c.color;
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = c.name;
+    name.title = 'Focus this cluster';
+    const count = document.createElement('span');
+    count.className = 'count';
+    count.textContent = c.size;
+
+    box.addEventListener('change', () => {
+      if (box.checked) hiddenClusters.delete(c.id);
+      else hiddenClusters.add(c.id);
+      highlight(search.value);
+    });
+    name.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (!network) return;
+      const ids = data.nodes.get({ filter: n => n.cluster === c.id && !n.hidden, fields: ['id'] }).map(n => n.id);
+      if (!ids.length) return;
+      network.selectNodes(ids);
+      network.fit({ nodes: ids, animation: { duration: 600, easingFunction: 'easeInOutCubic' }});
+    });
+
+    row.append(box, swatch, name, count);
+    clustersEl.appendChild(row);
+  });
+
+  // One min/max slider pair per attribute; a pair at its full range is inactive
+  const filtersEl = document.getElementById('filters');
+  attributeFilters.forEach(f => {
+    const wrap = document.createElement('span');
+    wrap.className = 'range';
+    const name = document.createElement('span');
+    name.textContent = f.label;
+    const lo = document.createElement('input');
+    const hi = document.createElement('input');
+    [lo, hi].forEach(input => {
+      input.type = 'range';
+      input.min = f.min;
+      input.max = f.max;
+      input.step = 1;
+    });
+    lo.value = f.min;
+    hi.value = f.max;
+    lo.title = f.label + ' (min)';
+    hi.title = f.label + ' (max)';
+    const out = document.createElement('output');
+    const unit = f.unit ? ' ' + f.unit : '';
+
+    const onChange = (e) => {
+      let min = Number(lo.value);
+      let max = Number(hi.value);
+      if (min > max) {
+        if (e && e.target === lo) hi.value = max = min;
+        else lo.value = min = max;
+      }
+      out.textContent = (min === max ? min : min + '–' + max) + unit;
+      if (min === f.min && max === f.max) delete filterState[f.key];
+      else filterState[f.key] = { min, max };
+      if (e) highlight(search.value);
+    };
+    lo.addEventListener('input', onChange);
+    hi.addEventListener('input', onChange);
+    onChange();
+
+    wrap.append(name, lo, hi, out);
+    filtersEl.appendChild(wrap);
+  });
+
+  // Physics toggle: re-enable to recompute; disable to freeze current positions
+  physicsToggle.addEventListener('change', (e) => {
+    const enabled = e.target.checked;
+    if (!network) return;
+    if (enabled) {
+      network.setOptions({ physics: { enabled: true } });
+    } else {
+      freezeLayout(network, data);
+    }
+  });
+
+  const hierarchicalLayout = ${scriptJson(pageLayout.hierarchical)};
+
+  function applyLayout(value) {
+    if (!network) return;
+    if (value === 'hier') {
+      network.setOptions({
+        layout: { hierarchical: { enabled: true, ...hierarchicalLayout } },
+        physics: { enabled: false },
+      });
+    } else {
+      network.setOptions({
+        layout: { hierarchical: { enabled: false } },
+        physics: { enabled: physicsToggle.checked }
+      });
+      if (!physicsToggle.checked) {
+        freezeLayout(network, data);
+      }
+    }
+    fitVisible();
+  }
+
+  layoutSel.addEventListener('change', (e) => applyLayout(e.target.value));
+
+  fitBtn.addEventListener('click', fitVisible);
+
+  exportPositions(() => (network ? network.getPositions(initialNodes.map(n => n.id)) : null));
+
+  // Switch concept nodes to the chosen language, falling back to their default label
+  const langSel = document.getElementById('lang');
+  langSel.addEventListener('change', (e) => {
+    const lang = e.target.value;
+    const concepts = initialNodes.filter(n => n.labels);
+    data.nodes.update(concepts.map(n => ({ id: n.id, label: n.labels[lang] || n.label })));
+  });
+
+  // ---- Variants ----
+  // Variant child nodes are created on demand: double-click a product, or tick "Variants" for all
+  const variantsToggle = document.getElementById('variantsToggle');
+  const variantNodeId = (pid, i) => pid.replace(/^product:/, 'variant:') + ':' + i;
+
+  const variantText = (v) => {
+    const parts = [Object.values(v.options).join(' / ')];
+    if (v.sku) parts.push('SKU ' + v.sku);
+    if (v.price != null) parts.push(v.price.toFixed(2));
+    if (v.inventory != null) parts.push(v.inventory + ' in stock');
+    return parts.filter(Boolean).join(' · ');
+  };
+
+  const expandVariants = (pids) => {
+    const nodes = [];
+    const edges = [];
+    pids.forEach(pid => {
+      const p = data.nodes.get(pid);
+      if (!p || !p.variants || !p.variants.length) return;
+      if (data.nodes.get(variantNodeId(pid, 0))) return;
+      const pos = network.getPositions([pid])[pid];
+      p.variants.forEach((v, i) => {
+        const id = variantNodeId(pid, i);
+        const angle = (2 * Math.PI * i) / p.variants.length;
+        nodes.push({
+          id,
+          label: Object.values(v.options).join(' / ') || v.sku || 'Variant ' + (i + 1),
+          title: tooltip([[{ b: 'Variant' }], [p.label], [variantText(v)]]),
+          group: 'variant',
+          x: pos.x + 40 * Math.cos(angle),
+          y: pos.y + 40 * Math.sin(angle),
+        });
+        edges.push({ id: 'edge:' + id, from: pid, to: id, dashes: true, color: { color: "#e5e7eb" } });
+      });
+    });
+    data.nodes.add(nodes);
+    data.edges.add(edges);
+  };
+
+  const collapseVariants = (pids) => {
+    pids.forEach(pid => {
+      const p = data.nodes.get(pid);
+      if (!p || !p.variants) return;
+      const ids = p.variants.map((_, i) => variantNodeId(pid, i));
+      data.edges.remove(ids.map(id => 'edge:' + id));
+      data.nodes.remove(ids);
+    });
+  };
+
+  const refreshFilters = () => {
+    if (search.value || Object.keys(filterState).length || ego) highlight(search.value);
+  };
+
+  if (variantsToggle) {
+    variantsToggle.addEventListener('change', (e) => {
+      if (!network) return;
+      const pids = data.nodes.get({ filter: n => n.group === 'product', fields: ['id'] }).map(n => n.id);
+      if (e.target.checked) expandVariants(pids);
+      else collapseVariants(pids);
+      refreshFilters();
+    });
+  }
+
+  // ---- Connect two nodes ----
+  // In connect mode, click two nodes to light up every shortest path between them
+  // (through shared tags, vendors, …) up to the hop limit. Paths only cross visible
+  // nodes, so search and filters narrow them down
+  const connectBtn = document.getElementById('connect');
+  const pathsPanel = document.getElementById('paths');
+  const pathsTitle = document.getElementById('pathsTitle');
+  const pathsBody = document.getElementById('pathsBody');
+  const maxHopsInput = document.getElementById('maxHops');
+  const PATHS_SHOWN = 20;
+  let connecting = false;
+  let ends = []; // the clicked nodes, at most two
+
+  const visibleNeighbours = (id) => network.getConnectedNodes(id).filter(nid => {
+    const n = data.nodes.get(nid);
+    return n && !n.hidden;
+  });
+
+  // Breadth-first from start: hops to every node within limit, and how many shortest paths reach it
+  const hopsFrom = (start, limit) => {
+    const hops = new Map([[start, 0]]);
+    const ways = new Map([[start, 1]]);
+    let frontier = [start];
+    for (let d = 1; d <= limit && frontier.length; d++) {
+      const next = [];
+      frontier.forEach(id => visibleNeighbours(id).forEach(nid => {
+        if (!hops.has(nid)) {
+          hops.set(nid, d);
+          ways.set(nid, 0);
+          next.push(nid);
+        }
+        if (hops.get(nid) === d) ways.set(nid, ways.get(nid) + ways.get(id));
+      }));
+      frontier = next;
+    }
+    return { hops, ways };
+  };
+
+  // { length, count, hops, through, paths }, or null when a and b are more than limit hops apart.
+  // through: node id -> shortest paths crossing it; paths: the first few, spelled out
+  const shortestPaths = (a, b, limit) => {
+    const from = hopsFrom(a, limit);
+    if (!from.hops.has(b)) return null;
+    const length = from.hops.get(b);
+    const to = hopsFrom(b, length);
+    const through = new Map();
+    from.hops.forEach((d, id) => {
+      if (to.hops.has(id) && d + to.hops.get(id) === length) through.set(id, from.ways.get(id) * to.ways.get(id));
+    });
+    const paths = [];
+    const walk = (path) => {
+      if (paths.length >= PATHS_SHOWN) return;
+      const last = path[path.length - 1];
+      if (last === b) return paths.push(path);
+      visibleNeighbours(last)
+        .filter(nid => through.has(nid) && from.hops.get(nid) === path.length)
+        .forEach(nid => walk(path.concat(nid)));
+    };
+    walk([a]);
+    return { length, count: from.ways.get(b), hops: from.hops, through, paths };
+  };
+
+  // Path nodes and edges stand out and the rest fades; outside connect mode everything is back to normal
+  const paintPaths = (result) => {
+    const active = connecting && ends.length > 0;
+    const onPath = (id) => ends.includes(id) || (!!result && result.through.has(id));
+    const pathEdge = (e) => !!result && result.through.has(e.from) && result.through.has(e.to) &&
+      Math.abs(result.hops.get(e.from) - result.hops.get(e.to)) === 1;
+    data.nodes.update(data.nodes.getIds().map(id => ({ id, opacity: !active || onPath(id) ? 1 : 0.2 })));
+    data.edges.update(data.edges.get().map(e => ({
+      id: e.id,
+      color: !active ? edgeColor(e) : pathEdge(e) ? { color: "#ef4444" } : { color: "#f3f4f6" },
+    })));
+  };
+
+  const nodeLink = (id) => {
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = data.nodes.get(id).label;
+    name.title = 'Show in the graph';
+    name.addEventListener('click', () => focusNode(id));
+    return name;
+  };
+  const line = (className, ...parts) => {
+    const el = document.createElement('div');
+    el.className = className;
+    el.append(...parts);
+    return el;
+  };
+
+  const showPaths = () => {
+    if (!connecting || !network) return;
+    ends = ends.filter(id => data.nodes.get(id));
+    if (ends.length < 2) {
+      paintPaths(null);
+      pathsTitle.textContent = 'Connect two nodes';
+      pathsBody.replaceChildren(ends.length
+        ? line('hint', 'From ', nodeLink(ends[0]), ': click the second node')
+        : line('hint', 'Click the first node'));
+      return;
+    }
+    const limit = Math.max(1, Number(maxHopsInput.value) || 1);
+    const result = shortestPaths(ends[0], ends[1], limit);
+    paintPaths(result);
+    pathsTitle.replaceChildren(nodeLink(ends[0]), ' → ', nodeLink(ends[1]));
+    if (!result) {
+      pathsBody.replaceChildren(line('hint', 'Not connected within ' + limit + (limit === 1 ? ' hop' : ' hops') + ', or only through hidden nodes.'));
+      return;
+    }
+    const parts = [line('hint', result.length + ' hops · ' + result.count.toLocaleString() + ' shortest path' + (result.count === 1 ? '' : 's'))];
+
+    // The tags (and vendors, types, …) in between, most used first
+    const between = Array.from(result.through.keys())
+      .filter(id => !ends.includes(id) && data.nodes.get(id).group !== 'product')
+      .sort((x, y) => result.through.get(y) - result.through.get(x));
+    if (between.length) {
+      parts.push(line('heading', 'Connecting tags'));
+      const list = document.createElement('ol');
+      between.forEach(id => {
+        const li = document.createElement('li');
+        const count = document.createElement('span');
+        count.className = 'count';
+        const n = result.through.get(id);
+        count.textContent = ' ' + n.toLocaleString() + ' path' + (n === 1 ? '' : 's');
+        li.append(nodeLink(id), count);
+        list.appendChild(li);
+      });
+      parts.push(list);
+    }
+
+    parts.push(line('heading', 'Paths'));
+    const list = document.createElement('ol');
+    result.paths.forEach(path => {
+      const li = document.createElement('li');
+      path.forEach((id, i) => li.append(...(i ? [' › ', nodeLink(id)] : [nodeLink(id)])));
+      list.appendChild(li);
+    });
+    if (result.count > result.paths.length) {
+      const more = document.createElement('li');
+      more.className = 'count';
+      more.textContent = '… ' + (result.count - result.paths.length).toLocaleString() + ' more';
+      list.appendChild(more);
+    }
+    parts.push(list);
+    pathsBody.replaceChildren(...parts);
+  };
+
+  const setConnecting = (on) => {
+    connecting = on;
+    ends = [];
+    connectBtn.classList.toggle('active', on);
+    pathsPanel.hidden = !on;
+    if (!network) return;
+    network.unselectAll();
+    paintPaths(null);
+    showPaths();
+  };
+
+  connectBtn.addEventListener('click', () => setConnecting(!connecting));
+  document.getElementById('pathsClose').addEventListener('click', () => setConnecting(false));
+  maxHopsInput.addEventListener('input', showPaths);
+
+  // ---- Details panel ----
+  // Click a product for its CSV columns, attributes, variants, images and tags (with
+  // --shop-domain, links to the storefront and the Shopify admin); click a tag for its
+  // product count, the tags it goes with, its Type / Vendor split and its products
+  const shopDomain = ${scriptJson(shopDomain ?? null)};
+  const detailsPanel = document.getElementById('details');
+  const detailsTitle = document.getElementById('detailsTitle');
+  const detailsBody = document.getElementById('detailsBody');
+
+  const shopLink = (text, href) => {
+    const a = document.createElement('a');
+    a.textContent = text;
+    a.href = href;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    return a;
+  };
+
+  const tagChip = (t, onClick, count) => {
+    const chip = document.createElement('button');
+    chip.className = 'chip' + (t.hidden ? ' hidden' : '');
+    chip.textContent = t.label;
+    chip.title = t.hidden ? 'Hidden right now (search, filters or the operational tags toggle)' : 'Show in the graph';
+    if (count != null) {
+      const n = document.createElement('span');
+      n.className = 'count';
+      n.textContent = ' ' + count.toLocaleString();
+      chip.appendChild(n);
+    }
+    chip.addEventListener('click', onClick);
+    return chip;
+  };
+
+  const chipList = (chips) => {
+    const el = document.createElement('div');
+    el.className = 'chips';
+    el.append(...chips);
+    return el;
+  };
+
+  const percent = (share) => (share * 100).toFixed(1) + '%';
+
+  const productDetails = (p, section) => {
+    const details = { fields: {}, columns: [], images: [], attributes: [], ...p.details };
+    if (shopDomain && p.handle) {
+      const handle = encodeURIComponent(p.handle);
+      section(null, line('links',
+        shopLink('Storefront ↗', 'https://' + shopDomain + '/products/' + handle), ' · ',
+        shopLink('Shopify admin ↗', 'https://' + shopDomain + '/admin/products?query=' + handle)));
+    }
+    if (p.badges) section(null, line('hint', '🏷 ' + p.badges.join(' · ')));
+
+    // Only web images; a CSV value never becomes some other kind of URL
+    const images = details.images.filter(img => /^https?:\\/\\//i.test(img.src));
+    if (images.length) {
+      const strip = document.createElement('div');
+      strip.className = 'images';
+      images.forEach(img => {
+        const el = document.createElement('img');
+        el.src = img.src;
+        el.alt = img.alt;
+        el.loading = 'lazy';
+        strip.appendChild(shopLink('', img.src)).appendChild(el);
+      });
+      section(null, strip);
+    }
+
+    const fields = document.createElement('dl');
+    (p.handle ? [['Handle', p.handle]] : []).concat(details.columns).forEach(([name, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = name;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      fields.append(dt, dd);
+    });
+    if (fields.children.length) section('Fields', fields);
+
+    if (details.attributes.length) section('Attributes', ...details.attributes.map(text => line('', text)));
+
+    if (p.variants && p.variants.length) {
+      const list = document.createElement('ol');
+      p.variants.forEach(v => {
+        const li = document.createElement('li');
+        li.textContent = variantText(v);
+        list.appendChild(li);
+      });
+      section('Variants (' + p.variants.length + ')', list);
+    }
+
+    // Tags as chips; a click zooms to the tag
+    const tags = network.getConnectedNodes(p.id).map(nid => data.nodes.get(nid)).filter(n => n && n.group === 'tag');
+    if (tags.length) {
+      tags.sort((a, b) => a.label.localeCompare(b.label));
+      section('Tags (' + tags.length + ')', chipList(tags.map(t => tagChip(t, () => focusNode(t.id)))));
+    }
+  };
+
+  // Product list of the tag panel: sorted by this column, ascending (1) or descending (-1)
+  const PRODUCT_COLUMNS = [['label', 'Product'], ['type', 'Type'], ['vendor', 'Vendor']];
+  let productSort = { key: 'label', dir: 1 };
+  const productValue = (p, key) => (key === 'label' ? p.label : ((p.details && p.details.fields) || {})[key] || '');
+
+  const productTable = (products) => {
+    const table = document.createElement('table');
+    table.className = 'products';
+    const render = () => {
+      const head = document.createElement('tr');
+      PRODUCT_COLUMNS.forEach(([key, label]) => {
+        const th = document.createElement('th');
+        th.textContent = label + (productSort.key === key ? (productSort.dir > 0 ? ' ▲' : ' ▼') : '');
+        th.title = 'Sort by ' + label.toLowerCase();
+        th.addEventListener('click', () => {
+          productSort = { key, dir: productSort.key === key ? -productSort.dir : 1 };
+          render();
+        });
+        head.appendChild(th);
+      });
+      const rows = products
+        .slice()
+        .sort((a, b) => productSort.dir * (productValue(a, productSort.key).localeCompare(productValue(b, productSort.key)) ||
+          a.label.localeCompare(b.label)))
+        .map(p => {
+          const tr = document.createElement('tr');
+          if (p.hidden) tr.className = 'hidden';
+          PRODUCT_COLUMNS.forEach(([key]) => {
+            const td = document.createElement('td');
+            td.textContent = productValue(p, key);
+            if (key === 'label') {
+              td.className = 'name';
+              td.title = 'Show in the graph';
+              td.addEventListener('click', () => {
+                focusNode(p.id);
+                showDetails(p.id);
+              });
+            }
+            tr.appendChild(td);
+          });
+          return tr;
+        });
+      table.replaceChildren(head, ...rows);
+    };
+    render();
+    return table;
+  };
+
+  const tagDetails = (t, section) => {
+    const stats = t.details || { count: 0, share: 0, cooccurring: [], type: [], vendor: [] };
+    section(null, line('hint', stats.count.toLocaleString() + (stats.count === 1 ? ' product' : ' products') +
+      ' · ' + percent(stats.share) + ' of the catalog'));
+
+    // Tags the same products carry; a click opens that tag
+    const together = stats.cooccurring
+      .map(([tid, n]) => [data.nodes.get(tid), n])
+      .filter(([other]) => other)
+      .map(([other, n]) => tagChip(other, () => {
+        focusNode(other.id);
+        showDetails(other.id);
+      }, n));
+    if (together.length) section('Often together with', chipList(together));
+
+    // Products per Type / Vendor, with their share of the tag's products as a bar
+    const breakdown = (rows) => {
+      const table = document.createElement('table');
+      table.className = 'breakdown';
+      rows.forEach(([value, n]) => {
+        const tr = table.insertRow();
+        tr.insertCell().textContent = value || '(none)';
+        tr.insertCell().textContent = n.toLocaleString();
+        const share = tr.insertCell();
+        share.textContent = percent(n / stats.count);
+        share.style.background = 'linear-gradient(to right, #dbeafe ' + percent(n / stats.count) + ', transparent 0)';
+      });
+      return table;
+    };
+    if (stats.type.length) section('By type', breakdown(stats.type));
+    if (stats.vendor.length) section('By vendor', breakdown(stats.vendor));
+
+    const products = network.getConnectedNodes(t.id).map(nid => data.nodes.get(nid)).filter(n => n && n.group === 'product');
+    if (products.length) section('Products (' + products.length + ')', productTable(products));
+  };
+
+  const DETAIL_VIEWS = { product: productDetails, tag: tagDetails };
+
+  const showDetails = (id) => {
+    const n = data.nodes.get(id);
+    const view = n && network && DETAIL_VIEWS[n.group];
+    if (!view) return;
+    const parts = [];
+    view(n, (heading, ...content) => {
+      if (heading) parts.push(line('heading', heading));
+      parts.push(...content);
+    });
+    detailsTitle.textContent = n.label;
+    detailsBody.replaceChildren(...parts);
+    detailsPanel.hidden = false;
+  };
+
+  document.getElementById('detailsClose').addEventListener('click', () => {
+    detailsPanel.hidden = true;
+  });
+
+  // ---- Ego view ----
+  // Only the nodes within 1–3 hops of one node, plus the neighbours of nodes expanded by
+  // clicking them. The view lives in the URL hash (#node=…&depth=…&expand=…), so it can be
+  // bookmarked and shared; the breadcrumb and the browser's back / forward walk the views
+  const egoBtn = document.getElementById('egoView');
+  const egoDepth = document.getElementById('egoDepth');
+  const crumbsEl = document.getElementById('crumbs');
+  const crumbTrailEl = document.getElementById('crumbTrail');
+  const crumbNoticeEl = document.getElementById('crumbNotice');
+  const backBtn = document.getElementById('crumbBack');
+  const forwardBtn = document.getElementById('crumbForward');
+
+  const egoHash = (view) => {
+    if (!view) return '';
+    const params = new URLSearchParams({ node: view.node, depth: view.depth });
+    view.expanded.forEach(id => params.append('expand', id));
+    return '#' + params;
+  };
+  const parseEgoHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const node = params.get('node');
+    if (!node) return null;
+    return { node, depth: Math.min(3, Math.max(1, Number(params.get('depth')) || 1)), expanded: params.getAll('expand') };
+  };
+
+  let ego = parseEgoHash(location.hash); // { node, depth, expanded } or null for the whole graph
+  // Views visited in this tab, as hashes; crumbAt is the one shown
+  let crumbs = [egoHash(ego)];
+  let crumbAt = 0;
+  let navigating = false; // the next hashchange is a new view, not back / forward
+  let missingNode = null; // node of a link that isn't in this graph, named until the next view
+
+  const egoNeighbours = (id) => network.getConnectedNodes(id).filter(nid => {
+    const n = data.nodes.get(nid);
+    return n && !layerHidden(n);
+  });
+
+  // Ids in the ego view: depth hops around the node, then each expanded node's neighbours, in order
+  const egoIds = () => {
+    const ids = new Set([ego.node]);
+    let frontier = [ego.node];
+    for (let d = 0; d < ego.depth; d++) {
+      const next = [];
+      frontier.forEach(id => egoNeighbours(id).forEach(nid => {
+        if (!ids.has(nid)) {
+          ids.add(nid);
+          next.push(nid);
+        }
+      }));
+      frontier = next;
+    }
+    ego.expanded.forEach(id => {
+      if (ids.has(id)) egoNeighbours(id).forEach(nid => ids.add(nid));
+    });
+    return ids;
+  };
+
+  // A link to a node that's gone since it was shared (or a mistyped one) shows the whole
+  // graph instead of nothing. Returns true if it dropped the view; waits for every node
+  const dropMissingEgo = () => {
+    if (!ego || !allLoaded || data.nodes.get(ego.node)) return false;
+    missingNode = ego.node;
+    ego = null;
+    crumbs[crumbAt] = '';
+    history.replaceState(null, '', location.pathname + location.search);
+    return true;
+  };
+
+  // Each change is a new history entry; hashchange below draws it
+  const showEgo = (view) => {
+    const hash = egoHash(view);
+    if (hash === egoHash(ego)) return;
+    navigating = true;
+    location.hash = hash;
+  };
+
+  // Click in an ego view: expand a node with neighbours out of view, collapse an expanded one
+  const toggleExpanded = (id) => {
+    if (!ego || id === ego.node) return;
+    if (ego.expanded.includes(id)) {
+      showEgo({ ...ego, expanded: ego.expanded.filter(x => x !== id) });
+    } else {
+      const inView = egoIds();
+      if (egoNeighbours(id).some(nid => !inView.has(nid))) showEgo({ ...ego, expanded: ego.expanded.concat(id) });
+    }
+  };
+
+  const crumbLabel = (hash) => {
+    const view = parseEgoHash(hash);
+    if (!view) return 'All nodes';
+    const n = data.nodes.get(view.node);
+    return (n ? n.label : view.node) + ' · ' + view.depth + (view.depth === 1 ? ' hop' : ' hops') +
+      (view.expanded.length ? ' +' + view.expanded.length : '');
+  };
+
+  const syncEgoControls = () => {
+    const selected = network ? network.getSelectedNodes() : [];
+    egoBtn.disabled = !ego && !selected.length;
+    egoBtn.textContent = ego ? 'Show all' : 'Ego view';
+    if (ego) egoDepth.value = ego.depth;
+    crumbsEl.hidden = crumbs.length < 2 && !ego && !missingNode;
+    crumbNoticeEl.hidden = !missingNode;
+    crumbNoticeEl.textContent = missingNode ? '"' + missingNode + '" is not in this graph; showing all nodes.' : '';
+    backBtn.disabled = crumbAt === 0;
+    forwardBtn.disabled = crumbAt === crumbs.length - 1;
+    crumbTrailEl.replaceChildren(...crumbs.flatMap((hash, i) => {
+      const crumb = document.createElement(i === crumbAt ? 'strong' : 'a');
+      crumb.textContent = crumbLabel(hash);
+      if (i !== crumbAt) {
+        crumb.href = hash || '#';
+        crumb.addEventListener('click', (e) => {
+          e.preventDefault();
+          history.go(i - crumbAt);
+        });
+      }
+      return i ? [' › ', crumb] : [crumb];
+    }));
+  };
+
+  window.addEventListener('hashchange', () => {
+    ego = parseEgoHash(location.hash);
+    missingNode = null;
+    const hash = egoHash(ego);
+    if (!navigating && crumbs[crumbAt - 1] === hash) crumbAt--;
+    else if (!navigating && crumbs[crumbAt + 1] === hash) crumbAt++;
+    else {
+      crumbs = crumbs.slice(0, crumbAt + 1).concat(hash);
+      crumbAt = crumbs.length - 1;
+    }
+    navigating = false;
+    dropMissingEgo();
+    syncEgoControls();
+    highlight(search.value);
+  });
+
+  egoBtn.addEventListener('click', () => {
+    if (ego) return showEgo(null);
+    const id = network && network.getSelectedNodes()[0];
+    if (id) showEgo({ node: id, depth: Number(egoDepth.value), expanded: [] });
+  });
+  egoDepth.addEventListener('change', () => {
+    if (ego) showEgo({ ...ego, depth: Number(egoDepth.value) });
+  });
+  backBtn.addEventListener('click', () => history.back());
+  forwardBtn.addEventListener('click', () => history.forward());
+  syncEgoControls();
+
+  // --- Highlight edges on node select ---
+  // Bind as soon as the network exists (a small catalog has it already)
+  const _bind = () => {
+    if (!network) return requestAnimationFrame(_bind);
+    network.on("selectNode", function(params) {
+      syncEgoControls();
+      if (connecting) return;
+      const selectedId = params.nodes[0];
+      const connectedEdgeIds = network.getConnectedEdges(selectedId);
+      data.edges.update(data.edges.get().map(e => ({ id: e.id, color: edgeColor(e) })));
+      data.edges.update(connectedEdgeIds.map(id => ({ id, color: { color: "#ef4444" } })));
+    });
+    network.on("deselectNode", function() {
+      syncEgoControls();
+      if (connecting) return;
+      data.edges.update(data.edges.get().map(e => ({ id: e.id, color: edgeColor(e) })));
+    });
+    // In connect mode a click picks the ends (a third click starts over). Otherwise a product
+    // opens its details, and in an ego view the node expands or collapses (unless it turns
+    // out to be a double-click)
+    let clickTimer = null;
+    network.on("click", function(params) {
+      const id = params.nodes[0];
+      clearTimeout(clickTimer);
+      if (!id) return;
+      if (!connecting) {
+        showDetails(id);
+        clickTimer = setTimeout(() => toggleExpanded(id), 250);
+        return;
+      }
+      ends = ends.length === 1 && ends[0] !== id ? [ends[0], id] : [id];
+      showPaths();
+    });
+    // Double-click a tag (or any other non-product) for its ego view,
+    // a product to expand / collapse its variants
+    network.on("doubleClick", function(params) {
+      clearTimeout(clickTimer);
+      const id = params.nodes[0];
+      const node = id && data.nodes.get(id);
+      if (!node) return;
+      if (node.group !== 'product') {
+        if (node.group !== 'variant') showEgo({ node: id, depth: Number(egoDepth.value), expanded: [] });
+        return;
+      }
+      if (!node.variants || !node.variants.length) return;
+      if (data.nodes.get(variantNodeId(id, 0))) collapseVariants([id]);
+      else expandVariants([id]);
+      refreshFilters();
+    });
+  };
+  _bind();
+</script>
+</body>
+</html>`;
+};
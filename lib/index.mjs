@@ -0,0 +1,54 @@
+/**
+ * Programmatic API. The CLI (build-graph.mjs) is a thin wrapper on top:
+ *
+ *   import fs from "fs";
+ *   import { parseProducts, buildGraph, layoutGraph, renderHtml } from "./lib/index.mjs";
+ *
+ *   const catalog = parseProducts(fs.readFileSync("products.csv", "utf8"), { layers: ["vendor"] });
+ *   const graph = buildGraph(catalog.products, { layers: ["vendor"], clusters: true });
+ *   layoutGraph(graph); // optional: positions computed here instead of in the browser
+ *   fs.writeFileSync("index.html", renderHtml(graph));
+ *
+ * Nothing here reads files, exits the process or prints; invalid input throws.
+ */
+export {
+  normalize,
+  splitTags,
+  idSafe,
+  ATTRIBUTE_PREFIXES,
+  resolvePrefixes,
+  parseAttributeTag,
+  formatAttribute,
+} from "./tags.mjs";
+export { LANGUAGES, parseSynonyms } from "./synonyms.mjs";
+export { POLICY_ACTIONS, parsePolicy, applyPolicy } from "./policy.mjs";
+export { LAYERS, resolveLayers, parseProducts, formatVariant } from "./catalog.mjs";
+export { foldAccents, buildTagReport } from "./report.mjs";
+export {
+  DEFAULT_OPTIONS,
+  GROUP_STYLES,
+  STATUS_COLORS,
+  resolveOptions,
+  buildGraph,
+  buildDiffGraph,
+  describePolicy,
+  describeChanges,
+} from "./graph.mjs";
+export { PROJECTIONS, ASSOCIATIONS, SIMILARITY } from "./projections.mjs";
+export { parseConfig } from "./config.mjs";
+export { DEFAULT_PHYSICS, parsePositions, layoutGraph } from "./layout.mjs";
+export { ASSETS, RENDERER_ASSETS } from "./assets.mjs";
+export { renderHtml } from "./html.mjs";
+export { WEBGL_NODE_THRESHOLD, renderWebgl, webglPageData } from "./webgl.mjs";
+export { DEFAULT_SHARD_SIZE, SITE_DATA_DIR, renderSite } from "./site.mjs";
+export { SEARCH_GROUPS, searchWords } from "./search.mjs";
+export {
+  FORMATS,
+  RENDERERS,
+  pickRenderer,
+  toGraphml,
+  toGexf,
+  toCytoscape,
+  toJson,
+  toEdgelist,
+} from "./formats.mjs";
@@ -0,0 +1,289 @@
+import { readEmbedded } from "./assets.mjs";
+
+// ----------- Physics (config: physics) -----------
+export const DEFAULT_PHYSICS = {
+  enabled: true,
+  solver: "forceAtlas2Based",
+  forceAtlas2Based: {
+    gravitationalConstant: -50,
+    centralGravity: 0.01,
+    springLength: 120,
+    springConstant: 0.08,
+    avoidOverlap: 0.1,
+  },
+  stabilization: { iterations: 300 },
+};
+
+// Nested objects merge key by key; everything else is replaced
+export const mergeDeep = (base, override = {}) =>
+  Object.fromEntries(
+    [...new Set([...Object.keys(base), ...Object.keys(override)])].map((k) => {
+      const a = base[k];
+      const b = override[k];
+      const bothObjects = [a, b].every((v) => v && typeof v === "object" && !Array.isArray(v));
+      return [k, bothObjects ? mergeDeep(a, b) : b === undefined ? a : b];
+    })
+  );
+
+// ----------- Build-time layout -----------
+/**
+ * vis-network's forceAtlas2Based solver, run in Node so the page opens with
+ * every node already placed and physics off. Same forces as in the browser,
+ * with deg = number of edges + 1:
+ *  - repulsion  gravitationalConstant · deg / distance  (Barnes–Hut, θ = theta)
+ *  - springs    springConstant · (springLength − distance) along each edge
+ *  - gravity    centralGravity · deg · distance, towards the origin
+ * Each node moves with mass = deg, which leaves the resting positions as they
+ * are but keeps hubs with hundreds of springs from oscillating (the browser
+ * gets away with it through its adaptive timestep). Parameters come from the
+ * forceAtlas2Based block of the physics options whatever the page solver is.
+ * Start points are derived from the node ids, so the same CSV gives the same
+ * picture on every build. Nodes with `physics: false` (policy-hidden tags)
+ * sit out and are put next to their neighbours afterwards.
+ */
+const SOLVER_DEFAULTS = { theta: 0.5, damping: 0.4 };
+const MOTION_DEFAULTS = { timestep: 0.5, maxVelocity: 50, minVelocity: 0.1 };
+const NODE_RADIUS = 10; // vis draws dots at scaling.min when they carry no value
+const MAX_ITERATIONS = 1000; // past this the Barnes–Hut jitter is all that moves
+// Steps × nodes per build: the full 1000 steps up to 2000 nodes, fewer above,
+// so a big catalog costs seconds rather than minutes (MIN_ITERATIONS at the least)
+const ITERATION_BUDGET = 2_000_000;
+const MIN_ITERATIONS = 100;
+const SETTLED = 0.01; // average step, as a share of springLength, at which the layout counts as done
+
+// FNV-1a; the seed for a node's pseudo-random start point
+const hashString = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+};
+
+// Two numbers in [0, 1) from a string
+const randomPair = (s) => {
+  const h = hashString(s);
+  return [h / 2 ** 32, hashString(`${s}#`) / 2 ** 32];
+};
+
+// Uniform in a disc of the given radius around (cx, cy)
+const scatter = (id, radius, cx = 0, cy = 0) => {
+  const [u, v] = randomPair(id);
+  const r = radius * Math.sqrt(u);
+  return { x: cx + r * Math.cos(2 * Math.PI * v), y: cy + r * Math.sin(2 * Math.PI * v) };
+};
+
+// Quadtree of the bodies with mass and centre of mass per cell
+const buildTree = (xs, ys) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < xs.length; i++) {
+    minX = Math.min(minX, xs[i]);
+    minY = Math.min(minY, ys[i]);
+    maxX = Math.max(maxX, xs[i]);
+    maxY = Math.max(maxY, ys[i]);
+  }
+  const size = Math.max(maxX - minX, maxY - minY, 1);
+  const cell = (x, y, size) => ({ x, y, size, mass: 0, cx: 0, cy: 0, body: -1, children: null });
+
+  const insert = (node, i) => {
+    node.cx = (node.cx * node.mass + xs[i]) / (node.mass + 1);
+    node.cy = (node.cy * node.mass + ys[i]) / (node.mass + 1);
+    node.mass++;
+    if (node.mass === 1) {
+      node.body = i;
+      return;
+    }
+    // Bodies on the same spot share a leaf instead of splitting forever
+    if (node.size < 1e-3) return;
+    if (!node.children) {
+      const half = node.size / 2;
+      node.children = [
+        cell(node.x, node.y, half),
+        cell(node.x + half, node.y, half),
+        cell(node.x, node.y + half, half),
+        cell(node.x + half, node.y + half, half),
+      ];
+      const prev = node.body;
+      node.body = -1;
+      insertChild(node, prev);
+    }
+    insertChild(node, i);
+  };
+  const insertChild = (node, i) => {
+    const half = node.size / 2;
+    const q = (xs[i] >= node.x + half ? 1 : 0) + (ys[i] >= node.y + half ? 2 : 0);
+    insert(node.children[q], i);
+  };
+
+  const root = cell(minX, minY, size);
+  for (let i = 0; i < xs.length; i++) insert(root, i);
+  return root;
+};
+
+// ----------- Seed positions (--seed-positions) -----------
+/**
+ * Positions from an earlier build, so a rebuild keeps the picture people know.
+ * Reads any of:
+ *   - the page's "Export positions" file   { "<node id>": { "x": 0, "y": 0 }, … }
+ *   - an HTML page written by this tool      (the embedded node data)
+ *   - a --format json export                 { "nodes": [{ "id", "x", "y", … }] }
+ *   - a --format cytoscape export            { "elements": { "nodes": [{ "data": { "id" }, "position" }] } }
+ * Returns a Map of node id -> { x, y }; throws when the file has none.
+ */
+export const parsePositions = (text) => {
+  const embedded = text.match(/const initialNodes = (.*);$/m);
+  const data = embedded ? { nodes: readEmbedded(embedded[1]) } : JSON.parse(text);
+  const entries = Array.isArray(data.nodes)
+    ? data.nodes.map((n) => [n.id, n])
+    : Array.isArray(data.elements?.nodes)
+      ? data.elements.nodes.map((n) => [n.data?.id, n.position])
+      : Object.entries(data);
+  const positions = new Map(
+    entries
+      .filter(([id, p]) => id != null && Number.isFinite(p?.x) && Number.isFinite(p?.y))
+      .map(([id, p]) => [id, { x: p.x, y: p.y }])
+  );
+  if (!positions.size) throw new Error("no node positions found");
+  return positions;
+};
+
+/**
+ * Sets `x` / `y` on every node of the graph (in place) and returns the graph,
+ * with the number of simulation steps it took in `stats.layoutSteps`.
+ *
+ * Options:
+ *   physics    vis-network physics options, merged over DEFAULT_PHYSICS
+ *   positions  Map of node id -> { x, y } (see parsePositions). These nodes stay
+ *              where they are; only the others are placed, starting next to
+ *              their pinned neighbours.
+ */
+export const layoutGraph = (graph, { physics, positions = new Map() } = {}) => {
+  const options = mergeDeep(DEFAULT_PHYSICS, physics);
+  const { gravitationalConstant, centralGravity, springLength, springConstant, avoidOverlap, theta, damping } = {
+    ...SOLVER_DEFAULTS,
+    ...options.forceAtlas2Based,
+  };
+  const { timestep, maxVelocity, minVelocity } = { ...MOTION_DEFAULTS, ...options };
+  // vis shortens distances by part of the node radius to keep nodes apart
+  const overlapFactor = 1 - Math.max(0, Math.min(1, avoidOverlap ?? 0));
+
+  const neighbours = new Map(graph.nodes.map((n) => [n.id, []]));
+  for (const e of graph.edges) {
+    neighbours.get(e.from)?.push(e.to);
+    neighbours.get(e.to)?.push(e.from);
+  }
+  // Next to the placed neighbours of a node, or anywhere within `radius` if it has none
+  const startPoint = (id, placed, radius) => {
+    const near = neighbours.get(id).map((m) => placed.get(m)).filter(Boolean);
+    if (!near.length) return scatter(id, radius);
+    const cx = near.reduce((sum, p) => sum + p.x, 0) / near.length;
+    const cy = near.reduce((sum, p) => sum + p.y, 0) / near.length;
+    return scatter(id, springLength, cx, cy);
+  };
+
+  const bodies = graph.nodes.filter((n) => n.physics !== false);
+  const index = new Map(bodies.map((n, i) => [n.id, i]));
+  const springs = graph.edges
+    .filter((e) => index.has(e.from) && index.has(e.to) && e.from !== e.to)
+    .map((e) => [index.get(e.from), index.get(e.to)]);
+
+  const count = bodies.length;
+  const degree = new Float64Array(count).fill(1);
+  for (const [a, b] of springs) {
+    degree[a]++;
+    degree[b]++;
+  }
+  // vis puts new nodes in a circle whose radius grows with the node count
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  const pinned = bodies.map((n) => positions.has(n.id));
+  bodies.forEach((n, i) => {
+    const start = positions.get(n.id) ?? startPoint(n.id, positions, count + 10);
+    xs[i] = start.x;
+    ys[i] = start.y;
+  });
+  const vx = new Float64Array(count);
+  const vy = new Float64Array(count);
+  const fx = new Float64Array(count);
+  const fy = new Float64Array(count);
+
+  const repel = (tree, i) => {
+    const stack = [tree];
+    while (stack.length) {
+      const node = stack.pop();
+      if (!node.mass || node.body === i) continue;
+      const dx = node.cx - xs[i];
+      const dy = node.cy - ys[i];
+      let distance = Math.sqrt(dx * dx + dy * dy);
+      if (node.children && node.size / distance >= theta) {
+        stack.push(...node.children);
+        continue;
+      }
+      if (distance === 0) continue;
+      if (overlapFactor < 1) distance = Math.max(0.1 + overlapFactor * NODE_RADIUS, distance - NODE_RADIUS);
+      const force = (gravitationalConstant * node.mass * degree[i]) / (distance * distance);
+      fx[i] += dx * force;
+      fy[i] += dy * force;
+    }
+  };
+
+  const move = (v, force, mass) => {
+    const next = v + ((force - damping * v) / mass) * timestep;
+    return Math.max(-maxVelocity, Math.min(maxVelocity, next));
+  };
+
+  const free = pinned.filter((p) => !p).length;
+  const iterations = Math.max(MIN_ITERATIONS, Math.min(MAX_ITERATIONS, Math.round(ITERATION_BUDGET / count)));
+  let steps = 0;
+  while (steps < iterations && free) {
+    steps++;
+    const tree = buildTree(xs, ys);
+    for (let i = 0; i < count; i++) {
+      fx[i] = pinned[i] ? 0 : -xs[i] * centralGravity * degree[i];
+      fy[i] = pinned[i] ? 0 : -ys[i] * centralGravity * degree[i];
+      if (!pinned[i]) repel(tree, i);
+    }
+    for (const [a, b] of springs) {
+      const dx = xs[a] - xs[b];
+      const dy = ys[a] - ys[b];
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+      const force = (springConstant * (springLength - distance)) / distance;
+      fx[a] += dx * force;
+      fy[a] += dy * force;
+      fx[b] -= dx * force;
+      fy[b] -= dy * force;
+    }
+    let fastest = 0;
+    let travelled = 0;
+    for (let i = 0; i < count; i++) {
+      if (pinned[i]) continue;
+      vx[i] = move(vx[i], fx[i], degree[i]);
+      vy[i] = move(vy[i], fy[i], degree[i]);
+      xs[i] += vx[i] * timestep;
+      ys[i] += vy[i] * timestep;
+      fastest = Math.max(fastest, Math.abs(vx[i]), Math.abs(vy[i]));
+      travelled += Math.hypot(vx[i], vy[i]) * timestep;
+    }
+    // A few hubs keep jittering above minVelocity, so also stop once the average node barely moves
+    if (fastest < minVelocity || travelled / free < SETTLED * springLength) break;
+  }
+
+  graph.stats = { ...graph.stats, layoutSteps: steps };
+
+  const placed = new Map(positions);
+  bodies.forEach((n, i) => {
+    n.x = Math.round(xs[i]);
+    n.y = Math.round(ys[i]);
+    placed.set(n.id, n);
+  });
+
+  // Nodes left out of the simulation go next to what they link to
+  for (const n of graph.nodes) {
+    if (index.has(n.id)) continue;
+    const { x, y } = positions.get(n.id) ?? startPoint(n.id, placed, count + 10);
+    n.x = Math.round(x);
+    n.y = Math.round(y);
+  }
+  return graph;
+};
@@ -0,0 +1,110 @@
+// ----------- Page scaffolding -----------
+/**
+ * What the two page renderers (renderHtml and renderWebgl) share around the
+ * graph itself. PAGE_STYLE lays out the header, legend and graph area and
+ * styles LOADING_OVERLAY, the "Building graph…" screen. PAGE_SCRIPT is the page
+ * side; it goes after the page's initialNodes, and after LOAD_SHARDS on a page
+ * with data files:
+ *   updateProgress()            draws the overlay's bar and text and the header's
+ *                               #dataStatus from totalNodes, loadedNodes and bytes
+ *   edgeQueue(hasNode, add)     -> addEdges(edges): calls add(ready) with the edges
+ *                               whose ends are both loaded, keeps the rest for later
+ *   exportPositions(positions)  binds the Export positions button; positions()
+ *                               returns { id: { x, y } }, or null before the graph is drawn
+ */
+export const PAGE_STYLE = `
+  html, body { height: 100%; margin: 0; font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; }
+  body { display:flex; flex-direction:column; }
+  header { padding: 10px 12px; border-bottom: 1px solid #e5e5e5; display:flex; gap:12px; align-items:center; flex-wrap:wrap; }
+  header .stats { margin-left: auto; font-size: 12px; opacity: 0.8; }
+  #network { width: 100%; flex: 1; min-height: 0; }
+  input[type="search"] { padding: 8px 10px; border: 1px solid #ccc; border-radius: 8px; min-width: 260px; }
+  button, select, label { font-size: 14px; }
+  .legend { display:flex; gap:16px; align-items:center; font-size: 13px; }
+  .badge { display:inline-flex; align-items:center; gap:6px; }
+
+  /* Loading overlay */
+  #loading {
+    position: fixed; inset: 0;
+    background: rgba(255,255,255,0.96);
+    display: flex; align-items: center; justify-content: center;
+    z-index: 9999; flex-direction: column; gap: 10px;
+    transition: opacity 200ms ease;
+  }
+  #loading.hide { opacity: 0; pointer-events: none; }
+  .load-title { font-weight: 600; }
+  .progress-wrap {
+    width: min(560px, 90vw);
+    height: 10px;
+    background: #eee;
+    border-radius: 999px;
+    overflow: hidden;
+  }
+  .progress-bar {
+    height: 100%; width: 0%;
+    background: #3b82f6;
+    transition: width 60ms linear;
+  }
+  .progress-text { font-size: 12px; opacity: 0.8; }
+`;
+
+export const LOADING_OVERLAY = `<!-- Loading overlay -->
+<div id="loading">
+  <div class="load-title">Building graph…</div>
+  <div class="progress-wrap"><div class="progress-bar" id="progressBar"></div></div>
+  <div class="progress-text" id="progressText">Loading nodes: 0 / 0</div>
+</div>`;
+
+export const PAGE_SCRIPT = `
+  // ---- Loading UI ----
+  const loadingEl = document.getElementById('loading');
+  const barEl = document.getElementById('progressBar');
+  const textEl = document.getElementById('progressText');
+  const statusEl = document.getElementById('dataStatus');
+  let totalNodes = initialNodes.length;
+  let loadedNodes = 0;
+  let bytes = null; // data files: { loadedBytes, totalBytes } so far
+
+  const updateProgress = () => {
+    const pct = bytes
+      ? Math.round((bytes.loadedBytes / Math.max(bytes.totalBytes, 1)) * 100)
+      : totalNodes === 0 ? 100 : Math.round((loadedNodes / totalNodes) * 100);
+    barEl.style.width = pct + '%';
+    textEl.textContent = 'Loading nodes: ' + loadedNodes.toLocaleString() + ' / ' + totalNodes.toLocaleString() +
+      (bytes ? ' (' + megabytes(bytes.loadedBytes) + ' / ' + megabytes(bytes.totalBytes) + ')' : '');
+    // A laid-out page opens on the first data file; the header keeps counting
+    if (statusEl) statusEl.textContent = bytes && bytes.loadedBytes < bytes.totalBytes ? textEl.textContent : '';
+  };
+
+  // Edges whose ends are both loaded go to add(); the rest wait for their data file
+  const edgeQueue = (hasNode, add) => {
+    let waiting = [];
+    return (edges) => {
+      const ready = [];
+      waiting = waiting.concat(edges).filter(e => {
+        if (!hasNode(e.from) || !hasNode(e.to)) return true;
+        ready.push(e);
+        return false;
+      });
+      add(ready);
+    };
+  };
+
+  // ---- Export positions ----
+  // Saves the layout as it is now, nodes dragged by hand included; pass the file to --seed-positions
+  const exportPositions = (positions) => {
+    document.getElementById('exportPositions').addEventListener('click', () => {
+      const pos = positions();
+      if (!pos) return;
+      const out = {};
+      Object.keys(pos).forEach(id => {
+        out[id] = { x: Math.round(pos[id].x), y: Math.round(pos[id].y) };
+      });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(out, null, 2)], { type: 'application/json' }));
+      link.download = 'positions.json';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+  };
+`;
@@ -0,0 +1,59 @@
+// ----------- Tag policy -----------
+/**
+ * Operational tags (sales channels, tax classes, certification bodies,
+ * merchandising flags) are not product attributes and turn into huge hubs.
+ * A policy file lists rules, first match wins:
+ *
+ *   { "rules": [
+ *     { "match": "NOREVIEW", "action": "drop" },
+ *     { "match": ["new", "neu"], "action": "badge", "badge": "new" },
+ *     { "match": "/^tax\\s*([\\d.]+)$/i", "action": "attribute", "key": "Tax class" },
+ *     { "match": "Galaxus", "action": "hidden" }
+ *   ] }
+ *
+ * `match` is a tag name (case-insensitive) or "/regex/flags", or a list of them.
+ *  - drop:      the tag is removed
+ *  - badge:     listed as a badge on the product (`badge` renames it)
+ *  - attribute: stored in the product's attrs under `key`; the value is the
+ *               first regex group, else the tag itself
+ *  - hidden:    kept as a tag node in a layer that starts hidden in the page
+ */
+export const POLICY_ACTIONS = ["drop", "badge", "attribute", "hidden"];
+
+const compileMatcher = (pattern) => {
+  const re = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    const regex = new RegExp(re[1], re[2]);
+    return (tag) => tag.match(regex);
+  }
+  const name = pattern.trim().toLowerCase();
+  return (tag) => (tag.toLowerCase() === name ? [tag] : null);
+};
+
+// source: policy file contents (JSON text) or the parsed object
+export const parsePolicy = (source) => {
+  const { rules } = typeof source === "string" ? JSON.parse(source) : source;
+  if (!Array.isArray(rules)) throw new Error(`expected { "rules": [...] }`);
+  return rules.map((rule, i) => {
+    if (!POLICY_ACTIONS.includes(rule.action)) {
+      throw new Error(`rule ${i + 1}: action must be one of ${POLICY_ACTIONS.join(", ")}`);
+    }
+    if (rule.action === "attribute" && !rule.key) throw new Error(`rule ${i + 1}: attribute rules need a "key"`);
+    const matchers = [].concat(rule.match ?? []).map(compileMatcher);
+    if (!matchers.length) throw new Error(`rule ${i + 1}: "match" is missing`);
+    return { ...rule, matchers };
+  });
+};
+
+// Returns { action, value } for the first matching rule, or null to keep the tag
+export const applyPolicy = (policy, tag) => {
+  for (const rule of policy) {
+    for (const matcher of rule.matchers) {
+      const m = matcher(tag);
+      if (!m) continue;
+      const value = rule.action === "badge" ? rule.badge || tag : (m[1] ?? tag).trim();
+      return { action: rule.action, key: rule.key, value };
+    }
+  }
+  return null;
+};
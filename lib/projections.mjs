@@ -0,0 +1,169 @@
+// ----------- Projections (--projection products | tags) -----------
+/**
+ * Both projections rewrite a built graph ({ nodesMap, edges }) in place and
+ * return the number of projected edges.
+ */
+import { bold, italic } from "./tooltips.mjs";
+
+export const PROJECTIONS = ["products", "tags"];
+export const ASSOCIATIONS = ["count", "lift", "pmi"];
+
+export const SIMILARITY = {
+  jaccard: (shared, a, b) => shared / (a + b - shared),
+  cosine: (shared, a, b) => shared / Math.sqrt(a * b),
+};
+
+// product id -> Set(tag id), from the bipartite edges
+const productTagSets = ({ nodesMap, edges }) => {
+  const sets = new Map();
+  for (const e of edges) {
+    const tag = nodesMap.get(e.to);
+    if (tag?.group !== "tag" || tag.operational) continue;
+    if (!sets.has(e.from)) sets.set(e.from, new Set());
+    sets.get(e.from).add(e.to);
+  }
+  return sets;
+};
+
+// Each node keeps its --top-k strongest links; a link survives if either end keeps it
+const keepStrongest = (links, topK) => {
+  const byNode = new Map();
+  for (const link of links) {
+    for (const id of [link.a, link.b]) {
+      if (!byNode.has(id)) byNode.set(id, []);
+      byNode.get(id).push(link);
+    }
+  }
+  const kept = new Set();
+  for (const list of byNode.values()) {
+    list.sort((x, y) => y.weight - x.weight).slice(0, topK).forEach((l) => kept.add(l));
+  }
+  return Array.from(kept);
+};
+
+/**
+ * Products: replaces tag nodes with direct product–product edges weighted by
+ * the similarity of the two products' tag sets:
+ *   jaccard: |A ∩ B| / |A ∪ B|
+ *   cosine:  |A ∩ B| / sqrt(|A| · |B|)
+ * Pairs below --min-similarity are dropped before the top-k cut.
+ */
+export const projectProducts = (graph, { similarity: measure, minSimilarity, topK }) => {
+  const { nodesMap, edges } = graph;
+  const similarity = SIMILARITY[measure];
+  const productTags = productTagSets(graph);
+
+  const ids = Array.from(productTags.keys());
+  const links = [];
+  for (let i = 0; i < ids.length; i++) {
+    const a = productTags.get(ids[i]);
+    for (let j = i + 1; j < ids.length; j++) {
+      const b = productTags.get(ids[j]);
+      const shared = Array.from(a).filter((t) => b.has(t));
+      if (!shared.length) continue;
+      const weight = similarity(shared.length, a.size, b.size);
+      if (weight < minSimilarity) continue;
+      links.push({ a: ids[i], b: ids[j], weight, shared });
+    }
+  }
+  const kept = keepStrongest(links, topK);
+
+  // Drop tag nodes and their edges, keep layer edges, add similarity edges
+  const tagLabels = new Map();
+  for (const [id, node] of nodesMap) {
+    if (node.group === "tag") tagLabels.set(id, node.label);
+  }
+  for (const [id, node] of nodesMap) {
+    if (node.group === "tag") nodesMap.delete(id);
+  }
+  const remaining = edges.filter((e) => nodesMap.has(e.from) && nodesMap.has(e.to));
+  const similarityEdges = kept.map(({ a, b, weight, shared }) => ({
+    from: a,
+    to: b,
+    value: Math.round(weight * 1000) / 1000,
+    title: [
+      [bold("Similarity"), ` ${weight.toFixed(2)} (${measure})`],
+      [`Shared tags: ${shared.map((t) => tagLabels.get(t)).join(", ")}`],
+    ],
+  }));
+  edges.splice(0, edges.length, ...remaining, ...similarityEdges);
+  return similarityEdges.length;
+};
+
+/**
+ * Tags: a tag-only graph where two tags are linked when products carry both.
+ * With N products, n(A) products tagged A and n(A,B) tagged both:
+ *   count: n(A,B)
+ *   lift:  n(A,B) · N / (n(A) · n(B))      > 1 means "more often together than by chance"
+ *   pmi:   log2(lift)
+ * Pairs with n(A,B) below --min-support are dropped before the top-k cut.
+ * Edges carry `strength` (0–1 within the kept edges) for width and opacity,
+ * plus the raw count, lift and PMI for the export formats.
+ */
+export const projectTags = (graph, { association, minSupport, topK }) => {
+  const { nodesMap, edges } = graph;
+  const productTags = productTagSets(graph);
+  const total = productTags.size;
+  const tagProducts = new Map(); // tag id -> product count
+  const pairCounts = new Map(); // "a\tb" -> n(A,B)
+  for (const tags of productTags.values()) {
+    const list = Array.from(tags).sort();
+    for (const t of list) tagProducts.set(t, (tagProducts.get(t) || 0) + 1);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const key = `${list[i]}\t${list[j]}`;
+        pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  const links = [];
+  for (const [key, count] of pairCounts) {
+    if (count < minSupport) continue;
+    const [a, b] = key.split("\t");
+    const lift = (count * total) / (tagProducts.get(a) * tagProducts.get(b));
+    const metrics = { count, lift, pmi: Math.log2(lift) };
+    links.push({ a, b, weight: metrics[association], metrics });
+  }
+  const kept = keepStrongest(links, topK);
+
+  // Keep only tag nodes, sized by how many products carry them
+  for (const [id, node] of nodesMap) {
+    if (node.group !== "tag") nodesMap.delete(id);
+    else {
+      node.value = tagProducts.get(id) || 1;
+      node.title = [...node.title, [`Products: ${tagProducts.get(id) || 0}`]];
+    }
+  }
+
+  const weights = kept.map((l) => l.weight);
+  const lo = Math.min(...weights);
+  const hi = Math.max(...weights);
+  const label = (id) => nodesMap.get(id).label;
+  const associationEdges = kept.map(({ a, b, weight, metrics }) => {
+    const strength = hi > lo ? (weight - lo) / (hi - lo) : 1;
+    let note = null;
+    if (metrics.count === tagProducts.get(a) && metrics.count === tagProducts.get(b)) note = "Always together";
+    else if (metrics.count === tagProducts.get(a)) note = `Every “${label(a)}” product is also “${label(b)}”`;
+    else if (metrics.count === tagProducts.get(b)) note = `Every “${label(b)}” product is also “${label(a)}”`;
+    return {
+      from: a,
+      to: b,
+      value: Math.round(strength * 1000) / 1000,
+      strength: Math.round(strength * 1000) / 1000,
+      count: metrics.count,
+      lift: Math.round(metrics.lift * 1000) / 1000,
+      pmi: Math.round(metrics.pmi * 1000) / 1000,
+      title: [
+        [bold("Co-occurrence")],
+        [`${label(a)} + ${label(b)}`],
+        [`Products: ${metrics.count}`],
+        [`Lift: ${metrics.lift.toFixed(2)}`],
+        [`PMI: ${metrics.pmi.toFixed(2)}`],
+        ...(note ? [[italic(note)]] : []),
+      ],
+    };
+  });
+  edges.splice(0, edges.length, ...associationEdges);
+  return associationEdges.length;
+};
@@ -0,0 +1,95 @@
+import { normalize, splitTags, idSafe, parseAttributeTag, resolvePrefixes } from "./tags.mjs";
+
+// ----------- Tag report (--report) -----------
+/**
+ * Lists pairs of tags that are probably the same tag spelled differently,
+ * strongest match first, then by combined usage. Kinds, from strongest:
+ *  - case:     differ only in letter case            (STK / Stk)
+ *  - spacing:  differ in spaces, hyphens, underscores (Früchte Tee / Früchtetee)
+ *  - umlaut:   differ in umlauts/accents             (Fruechtetee / Früchtetee)
+ *  - edit:     small edit distance                   (Weihnachten / Weinachten)
+ * Pairs differing in digits (WAT:80 / WAT:85) or in their attribute prefix
+ * (G:50g / GG:50g) are not edit-distance matches.
+ */
+// Transliterate umlauts (Früchte → Fruechte) and drop other accents. Only used for
+// matching here; idSafe still drops accented letters from node ids.
+export const foldAccents = (s) =>
+  s
+    .normalize("NFC")
+    .replace(/ä/g, "ae")
+    .replace(/ö/g, "oe")
+    .replace(/ü/g, "ue")
+    .replace(/ß/g, "ss")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+const spacingKey = (t) => t.toLowerCase().replace(/[\s\-_]+/g, "");
+const umlautKey = (t) =>
+  foldAccents(spacingKey(t)).replace(/ae/g, "a").replace(/oe/g, "o").replace(/ue/g, "u");
+
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+const prefixOf = (t) => t.match(/^([a-z]+)\s*:/i)?.[1].toUpperCase();
+
+const classifyPair = (a, b) => {
+  if (a.toLowerCase() === b.toLowerCase()) return { kind: "case", score: 1 };
+  if (spacingKey(a) === spacingKey(b)) return { kind: "spacing", score: 0.95 };
+  if (umlautKey(a) === umlautKey(b)) return { kind: "umlaut", score: 0.9 };
+  const ka = umlautKey(a);
+  const kb = umlautKey(b);
+  if (ka.replace(/\D/g, "") !== kb.replace(/\D/g, "")) return null;
+  if (prefixOf(a) && prefixOf(b) && prefixOf(a) !== prefixOf(b)) return null;
+  const maxDist = Math.min(ka.length, kb.length) < 6 ? 1 : 2;
+  if (Math.abs(ka.length - kb.length) > maxDist) return null;
+  const d = editDistance(ka, kb);
+  if (d > maxDist) return null;
+  return { kind: "edit", score: Math.round((1 - d / Math.max(ka.length, kb.length)) * 0.85 * 100) / 100 };
+};
+
+// catalog: the result of parseProducts; prefixes: config "prefixes". Returns the report as text
+export const buildTagReport = ({ source, records, titleKey, tagsKey, separator }, { prefixes } = {}) => {
+  const registry = resolvePrefixes(prefixes);
+  const usage = new Map(); // raw tag -> number of products
+  for (const row of records) {
+    if (!normalize(row[titleKey])) continue;
+    for (const t of new Set(splitTags(row[tagsKey], separator))) usage.set(t, (usage.get(t) || 0) + 1);
+  }
+  const tags = Array.from(usage.keys());
+
+  const pairs = [];
+  for (let i = 0; i < tags.length; i++) {
+    for (let j = i + 1; j < tags.length; j++) {
+      const match = classifyPair(tags[i], tags[j]);
+      if (!match) continue;
+      const [a, b] = [tags[i], tags[j]].sort((x, y) => usage.get(y) - usage.get(x));
+      pairs.push({ ...match, a, b, uses: usage.get(a) + usage.get(b), sameId: idSafe(a) === idSafe(b) });
+    }
+  }
+  pairs.sort((x, y) => y.score - x.score || y.uses - x.uses);
+
+  const singles = tags
+    .filter((t) => usage.get(t) === 1 && !parseAttributeTag(t, registry))
+    .sort((a, b) => a.localeCompare(b));
+
+  const lines = [`Tag report for ${source}: ${tags.length} distinct tags`, ""];
+  lines.push(`Near-duplicate tags (${pairs.length} pairs, more-used tag first):`);
+  for (const p of pairs) {
+    lines.push(
+      `  ${p.kind.padEnd(8)} ${p.score.toFixed(2)}  ${p.a} (${usage.get(p.a)})  ↔  ${p.b} (${usage.get(p.b)})` +
+        (p.sameId ? "  [same node]" : "")
+    );
+  }
+  lines.push("", `Tags used by only one product (${singles.length}):`);
+  for (const t of singles) lines.push(`  ${t}`);
+  return lines.join("\n");
+};
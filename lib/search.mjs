@@ -0,0 +1,373 @@
+// ----------- Search queries -----------
+/**
+ * The page's search box takes a small query language:
+ *
+ *   grüntee japan                   both terms (AND is implied)
+ *   tag:Grüntee AND tag:Japan       a term qualified by node group: tag, product,
+ *                                   vendor, type or category
+ *   tag:"Tax 7.7"                   quoted phrase
+ *   sencha OR matcha                either
+ *   NOT tag:"Tax 7.7"   -bio        without
+ *   (sencha OR matcha) -bio         grouping
+ *
+ * Operators are upper case; a lower-case "and" is just a word. Matching folds
+ * accents and case and forgives typos: each word of a term matches a word it
+ * starts, or one within one edit (two from 8 letters), so `Fruchtetee` finds
+ * `Früchtetee` and `tee` no longer finds every `…tee`. A query selects
+ * products: a term holds for a product when its title or one of its tags,
+ * layer values or variants matches (a qualified term looks at that group
+ * only). Graphs without products, like the tag projection, match each node
+ * on its own labels.
+ *
+ * SEARCH_SCRIPT is the page side, shared by both renderers:
+ *   createSearch(source)  source: { nodes(), node(id), neighbours(id) } over the
+ *                         loaded nodes ({ id, label, labels, group }); returns
+ *                         run(query)    -> ids selected, or null for an empty query
+ *                         suggest(text, group) -> [{ node, count }], by product count
+ *                         terms(query)  -> the terms' words, for data file priority
+ *   searchBox(options)    the autocomplete under the search box and the results
+ *                         panel; options: { input, finder, onQuery, focus }
+ * SEARCH_STYLE and the markup below go with it. RESULTS_PANEL goes in the
+ * page's `<div class="panels">`, the column of side panels (styled here too).
+ */
+export const SEARCH_GROUPS = ["tag", "product", "vendor", "type", "category"];
+
+// Words of a text as the page search sees them (fold() and words() in SEARCH_SCRIPT)
+export const searchWords = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ß/g, "ss")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+export const SEARCH_STYLE = `
+  /* Search: autocomplete and results panel */
+  .search-wrap { position: relative; }
+  .suggestions {
+    position: absolute; top: 100%; left: 0; z-index: 20; min-width: 100%;
+    margin: 2px 0 0; padding: 4px 0; list-style: none;
+    background: #fff; border: 1px solid #ddd; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.08);
+    font-size: 13px;
+  }
+  .suggestions li { display:flex; justify-content: space-between; gap: 12px; padding: 4px 10px; cursor: pointer; white-space: nowrap; }
+  .suggestions li.active, .suggestions li:hover { background: #eff6ff; }
+  .suggestions .count, .panel .count { opacity: 0.6; font-variant-numeric: tabular-nums; }
+
+  /* Side panels, stacked bottom right */
+  .panels {
+    position: fixed; right: 12px; bottom: 12px; z-index: 10;
+    width: 300px; display: flex; flex-direction: column; gap: 8px;
+  }
+  .panel {
+    max-height: 40vh; overflow: auto;
+    background: rgba(255,255,255,0.95); border: 1px solid #e5e5e5; border-radius: 8px;
+    padding: 8px 10px; font-size: 12px;
+  }
+  .panel-head { display:flex; align-items:center; gap: 8px; margin-bottom: 4px; }
+  .panel-head strong { flex: 1; }
+  .panel-head button { border: none; background: none; cursor: pointer; font-size: 16px; line-height: 1; }
+  .panel ol { margin: 0; padding-left: 20px; }
+  .panel li { padding: 1px 0; }
+  .panel li .name { cursor: pointer; }
+  .panel li .name:hover { text-decoration: underline; }
+`;
+
+export const SEARCH_BOX = `<span class="search-wrap">
+    <input id="search" type="search" placeholder='Search, e.g. tag:Grüntee AND Japan NOT "Tax 7.7"' autocomplete="off" />
+    <ul id="suggestions" class="suggestions" hidden></ul>
+  </span>`;
+
+export const RESULTS_PANEL = `<aside id="results" class="panel" hidden>
+  <div class="panel-head"><strong id="resultsTitle"></strong><button id="resultsClose" title="Clear the search">×</button></div>
+  <ol id="resultsList"></ol>
+</aside>`;
+
+export const SEARCH_SCRIPT = `
+  // ---- Search queries (see lib/search.mjs) ----
+  const SEARCH_GROUPS = ${JSON.stringify(SEARCH_GROUPS)};
+  const RESULTS_SHOWN = 200;
+  const fold = (s) => String(s).normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').replace(/ß/g, 'ss').toLowerCase();
+  const words = (s) => fold(s).split(/[^\\p{L}\\p{N}]+/u).filter(Boolean);
+
+  // Query text -> '(' ')' 'AND' 'OR' 'NOT' and terms { group, words }
+  const tokenize = (query) => {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+      const c = query[i];
+      if (/\\s/.test(c)) { i++; continue; }
+      if (c === '(' || c === ')') { tokens.push(c); i++; continue; }
+      if (c === '-') { tokens.push('NOT'); i++; continue; }
+      let group = null;
+      const qualifier = /^([a-z]+):/i.exec(query.slice(i));
+      if (qualifier && SEARCH_GROUPS.includes(qualifier[1].toLowerCase())) {
+        group = qualifier[1].toLowerCase();
+        i += qualifier[0].length;
+      }
+      let text = '';
+      if (query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+        text = query.slice(i + 1, end < 0 ? query.length : end);
+        i = end < 0 ? query.length : end + 1;
+      } else {
+        const word = /^[^\\s()"]*/.exec(query.slice(i))[0];
+        text = word;
+        i += word.length;
+      }
+      if (!group && (text === 'AND' || text === 'OR' || text === 'NOT')) tokens.push(text);
+      else if (words(text).length) tokens.push({ group, words: words(text) });
+    }
+    return tokens;
+  };
+
+  // OR binds loosest, then AND (also implied between terms), then NOT; incomplete input is read as far as it goes
+  const parseQuery = (query) => {
+    const tokens = tokenize(query);
+    let pos = 0;
+    const combine = (op, items) => {
+      items = items.filter(Boolean);
+      return items.length > 1 ? { op, items } : items[0] || null;
+    };
+    const parseOr = () => {
+      const items = [parseAnd()];
+      while (tokens[pos] === 'OR') { pos++; items.push(parseAnd()); }
+      return combine('or', items);
+    };
+    const parseAnd = () => {
+      const items = [];
+      while (pos < tokens.length && tokens[pos] !== 'OR' && tokens[pos] !== ')') {
+        if (tokens[pos] === 'AND') pos++;
+        else items.push(parseNot());
+      }
+      return combine('and', items);
+    };
+    const parseNot = () => {
+      const token = tokens[pos++];
+      if (token === 'NOT') {
+        const item = pos < tokens.length && tokens[pos] !== ')' && tokens[pos] !== 'OR' ? parseNot() : null;
+        return item && { op: 'not', item };
+      }
+      if (token === '(') {
+        const inner = parseOr();
+        if (tokens[pos] === ')') pos++;
+        return inner;
+      }
+      return typeof token === 'object' ? { op: 'term', ...token } : null;
+    };
+    let tree = parseOr();
+    while (pos < tokens.length) {
+      pos++; // a stray ')'
+      tree = combine('and', [tree, parseOr()]);
+    }
+    return tree;
+  };
+
+  // Edit distance between a and b, or Infinity once it's past max
+  const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      if (Math.min(...row) > max) return Infinity;
+      prev = row;
+    }
+    return prev[b.length];
+  };
+  const typos = (w) => (w.length < 4 ? 0 : w.length < 8 ? 1 : 2);
+  const wordMatches = (w, x) => x.startsWith(w) || editDistance(w, x, typos(w)) <= typos(w);
+
+  // Term words against a node's words, in a row
+  const phraseMatches = (terms, nodeWords) => {
+    for (let i = 0; i + terms.length <= nodeWords.length; i++) {
+      if (terms.every((w, k) => wordMatches(w, nodeWords[i + k]))) return true;
+    }
+    return false;
+  };
+
+  function createSearch(source) {
+    const wordCache = new Map();
+    const nodeWords = (n) => {
+      if (!wordCache.has(n.id)) {
+        wordCache.set(n.id, words([n.label].concat(n.labels ? Object.values(n.labels) : []).join(' ')));
+      }
+      return wordCache.get(n.id);
+    };
+    const hasProducts = (nodes) => nodes.some(n => n.group === 'product');
+
+    return {
+      run(query) {
+        const tree = parseQuery(query || '');
+        if (!tree) return null;
+        const nodes = source.nodes();
+        const pool = hasProducts(nodes) ? nodes.filter(n => n.group === 'product') : nodes;
+        // Products are described by what they link to as well
+        const described = new Map();
+        const candidates = (n) => {
+          if (n.group !== 'product') return [n];
+          if (!described.has(n.id)) {
+            described.set(n.id, [n].concat(source.neighbours(n.id).map(source.node).filter(Boolean)));
+          }
+          return described.get(n.id);
+        };
+        const test = (n, t) => {
+          if (t.op === 'term') return candidates(n).some(c => (!t.group || c.group === t.group) && phraseMatches(t.words, nodeWords(c)));
+          if (t.op === 'not') return !test(n, t.item);
+          if (t.op === 'and') return t.items.every(item => test(n, item));
+          return t.items.some(item => test(n, item));
+        };
+        return pool.filter(n => test(n, tree)).map(n => n.id);
+      },
+
+      // Nodes of a group whose labels match the text, most products first
+      suggest(text, group) {
+        const w = words(text);
+        if (!w.length) return [];
+        const nodes = source.nodes();
+        const products = hasProducts(nodes);
+        return nodes
+          .filter(n => n.group === group && phraseMatches(w, nodeWords(n)))
+          .map(node => ({
+            node,
+            count: products
+              ? source.neighbours(node.id).filter(id => (source.node(id) || {}).group === 'product').length
+              : node.value || 0,
+          }))
+          .sort((a, b) => b.count - a.count || a.node.label.localeCompare(b.node.label))
+          .slice(0, 8);
+      },
+
+      terms(query) {
+        return tokenize(query || '').filter(t => typeof t === 'object').map(t => t.words.join(' '));
+      },
+    };
+  }
+
+  // ---- Search box: autocomplete and results panel ----
+  function searchBox({ input, finder, onQuery, focus }) {
+    const list = document.getElementById('suggestions');
+    const panel = document.getElementById('results');
+    let suggestions = [];
+    let active = -1;
+
+    // The term being typed: from the last space or '(' before the caret, or from an open quote
+    const currentToken = () => {
+      const before = input.value.slice(0, input.selectionStart);
+      const quotes = before.split('"').length - 1;
+      const start = quotes % 2
+        ? before.slice(0, before.lastIndexOf('"')).search(/[^\\s(]*$/)
+        : before.search(/[^\\s(]*$/);
+      const m = /^(-?)(?:([a-z]+):)?"?(.*)$/i.exec(before.slice(start));
+      const group = m[2] ? m[2].toLowerCase() : 'tag';
+      return { start, end: before.length, negate: m[1], group, text: m[3] };
+    };
+
+    const close = () => {
+      list.hidden = true;
+      suggestions = [];
+      active = -1;
+    };
+
+    const render = () => {
+      list.replaceChildren(...suggestions.map((s, i) => {
+        const li = document.createElement('li');
+        li.className = i === active ? 'active' : '';
+        const name = document.createElement('span');
+        name.textContent = s.node.label;
+        const count = document.createElement('span');
+        count.className = 'count';
+        count.textContent = s.count;
+        li.append(name, count);
+        // mousedown, not click: keep the focus in the search box
+        li.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          pick(i);
+        });
+        return li;
+      }));
+      list.hidden = !suggestions.length;
+    };
+
+    const update = () => {
+      const token = currentToken();
+      const operator = ['AND', 'OR', 'NOT'].includes(token.text);
+      suggestions = token.group === 'product' || !SEARCH_GROUPS.includes(token.group) || operator
+        ? []
+        : finder.suggest(token.text, token.group);
+      active = -1;
+      render();
+    };
+
+    // Replace the term being typed with the picked node, quoted when it needs to be
+    const pick = (i) => {
+      const token = currentToken();
+      const label = suggestions[i].node.label;
+      const term = /^[^\\s()"]+$/.test(label) ? label : '"' + label.replace(/"/g, '') + '"';
+      const value = input.value;
+      const inserted = token.negate + token.group + ':' + term + ' ';
+      input.value = value.slice(0, token.start) + inserted + value.slice(token.end).replace(/^\\S*\\s?/, '');
+      const caret = token.start + inserted.length;
+      input.setSelectionRange(caret, caret);
+      close();
+      onQuery(input.value);
+    };
+
+    input.addEventListener('input', () => {
+      update();
+      onQuery(input.value);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (list.hidden) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        // -1 is the text as typed, between the last suggestion and the first
+        const n = suggestions.length;
+        active = e.key === 'ArrowDown' ? (active + 1 < n ? active + 1 : -1) : (active >= 0 ? active - 1 : n - 1);
+        render();
+      } else if ((e.key === 'Enter' || e.key === 'Tab') && active >= 0) {
+        e.preventDefault();
+        pick(active);
+      } else if (e.key === 'Escape') {
+        close();
+      }
+    });
+    input.addEventListener('blur', close);
+
+    document.getElementById('resultsClose').addEventListener('click', () => {
+      input.value = '';
+      onQuery('');
+    });
+
+    return {
+      // ids selected by the query, or null to hide the panel
+      showResults(ids, nodeById) {
+        panel.hidden = ids === null;
+        if (ids === null) return;
+        const products = ids.filter(id => (nodeById(id) || {}).group === 'product').length;
+        document.getElementById('resultsTitle').textContent =
+          ids.length.toLocaleString() + (products === ids.length ? ' products' : ' matches');
+        const items = ids.slice(0, RESULTS_SHOWN).map(id => {
+          const li = document.createElement('li');
+          const name = document.createElement('span');
+          name.className = 'name';
+          name.textContent = nodeById(id).label;
+          name.title = 'Show in the graph';
+          name.addEventListener('click', () => focus(id));
+          li.appendChild(name);
+          return li;
+        });
+        if (ids.length > RESULTS_SHOWN) {
+          const more = document.createElement('li');
+          more.className = 'count';
+          more.textContent = '… ' + (ids.length - RESULTS_SHOWN).toLocaleString() + ' more';
+          items.push(more);
+        }
+        document.getElementById('resultsList').replaceChildren(...items);
+      },
+    };
+  }
+`;
@@ -0,0 +1,83 @@
+import { RENDERERS, pickRenderer } from "./formats.mjs";
+import { searchWords } from "./search.mjs";
+import { webglPageData } from "./webgl.mjs";
+
+// ----------- Directory output (--out-dir) -----------
+/**
+ * A folder instead of one file: index.html plus the node and edge data split
+ * into JSON files under data/, which the page fetches with a progress bar in
+ * megabytes. Each data file holds a run of `shardSize` nodes and the edges
+ * that start at them. data/manifest.json lists the files with their sizes,
+ * the bounds of the layout and a search index (label -> the data files with
+ * the node and its neighbours), so a search typed while the page loads pulls
+ * that neighbourhood in first.
+ *
+ * Browsers don't fetch data files from a page opened as file://; serve the
+ * folder over HTTP.
+ *
+ * Returns { "<path inside the folder>": contents }. Options are the renderer's
+ * (renderer, title, physics, …; see renderHtml) plus `shardSize`.
+ */
+export const DEFAULT_SHARD_SIZE = 500;
+export const SITE_DATA_DIR = "data";
+
+// The nodes and edges each page works with; the WebGL page keeps them lean
+const PAGE_DATA = {
+  canvas: ({ nodes, edges }) => ({ nodes, edges }),
+  webgl: webglPageData,
+};
+
+// Every label a node is found by, as the page search sees it
+const searchText = (n) => searchWords([n.label, ...Object.values(n.labels ?? {})].join(" ")).join(" ");
+
+const layoutBounds = (nodes) => {
+  const placed = nodes.filter((n) => n.x != null);
+  if (!placed.length) return null;
+  const range = (key) => [
+    placed.reduce((a, n) => Math.min(a, n[key]), Infinity),
+    placed.reduce((a, n) => Math.max(a, n[key]), -Infinity),
+  ];
+  return { x: range("x"), y: range("y") };
+};
+
+export const renderSite = (graph, { renderer = "auto", shardSize = DEFAULT_SHARD_SIZE, ...options } = {}) => {
+  const name = pickRenderer(graph, renderer);
+  const { nodes, edges } = PAGE_DATA[name](graph);
+
+  const shardOf = new Map(nodes.map((n, i) => [n.id, Math.floor(i / shardSize)]));
+  const shards = Array.from({ length: Math.ceil(nodes.length / shardSize) }, (_, i) => ({
+    nodes: nodes.slice(i * shardSize, (i + 1) * shardSize),
+    edges: [],
+  }));
+  // node id -> data files holding the node or one of its neighbours
+  const near = new Map(nodes.map((n) => [n.id, new Set([shardOf.get(n.id)])]));
+  for (const e of edges) {
+    const home = shardOf.get(e.from) ?? shardOf.get(e.to);
+    if (home === undefined) continue;
+    shards[home].edges.push(e);
+    if (shardOf.has(e.from) && shardOf.has(e.to)) {
+      near.get(e.from).add(shardOf.get(e.to));
+      near.get(e.to).add(shardOf.get(e.from));
+    }
+  }
+
+  const texts = shards.map((s) => JSON.stringify(s));
+  const manifest = {
+    nodeCount: nodes.length,
+    edgeCount: edges.length,
+    shards: texts.map((text, i) => ({
+      file: `shard-${i}.json`,
+      nodes: shards[i].nodes.length,
+      edges: shards[i].edges.length,
+      bytes: Buffer.byteLength(text),
+    })),
+    bounds: layoutBounds(nodes),
+    search: nodes.map((n) => [searchText(n), [...near.get(n.id)]]),
+  };
+
+  return {
+    "index.html": RENDERERS[name](graph, { ...options, dataUrl: `${SITE_DATA_DIR}/manifest.json` }),
+    [`${SITE_DATA_DIR}/manifest.json`]: JSON.stringify(manifest),
+    ...Object.fromEntries(manifest.shards.map(({ file }, i) => [`${SITE_DATA_DIR}/${file}`, texts[i]])),
+  };
+};
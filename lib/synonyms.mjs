@@ -0,0 +1,43 @@
+import { parse } from "csv-parse/sync";
+import { normalize, idSafe } from "./tags.mjs";
+
+// ----------- Tag synonyms -----------
+/**
+ * A synonym file lists concepts with their tag variants per language:
+ *
+ *   JSON: [{ "de": ["Schwarztee", "Schwarzer Tee"], "fr": "Thé Noir", "en": "Black tea" }]
+ *   CSV:  de,fr,en header; several variants in one cell separated by "|"
+ *
+ * Every variant (case-insensitive) maps to one concept node. The first variant
+ * of each language is its display label; the node is labelled in German first.
+ */
+export const LANGUAGES = ["de", "fr", "en"];
+
+// text: file contents; format: "json" (default) or "csv"
+export const parseSynonyms = (text, { format = "json" } = {}) => {
+  let entries;
+  if (format === "csv") {
+    entries = parse(text, { columns: (header) => header.map((h) => h.trim().toLowerCase()), skip_empty_lines: true })
+      .map((row) => Object.fromEntries(LANGUAGES.map((l) => [l, (row[l] ?? "").split("|")])));
+  } else {
+    entries = JSON.parse(text);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error("expected an array of { de, fr, en } entries");
+  }
+
+  const index = new Map(); // lowercased variant -> concept
+  for (const entry of entries) {
+    const variants = Object.fromEntries(
+      LANGUAGES.map((l) => [l, [].concat(entry[l] ?? []).map(normalize).filter(Boolean)])
+    );
+    const labels = Object.fromEntries(
+      LANGUAGES.filter((l) => variants[l].length).map((l) => [l, variants[l][0]])
+    );
+    const primary = LANGUAGES.map((l) => labels[l]).find(Boolean);
+    if (!primary) continue;
+    const concept = { id: `tag:${idSafe(primary)}`, label: primary, labels };
+    for (const v of Object.values(variants).flat()) index.set(v.toLowerCase(), concept);
+  }
+  return index;
+};
@@ -0,0 +1,133 @@
+// ----------- Helpers -----------
+export const normalize = (s) => (s ?? "").toString().trim();
+// separator: string or RegExp; Shopify uses commas, set "separator" in the config for others
+export const splitTags = (tagsCell, separator = ",") =>
+  normalize(tagsCell)
+    .split(separator)
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+export const idSafe = (s) =>
+  normalize(s)
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-_:.]/g, "");
+
+// ----------- Attribute tags -----------
+/**
+ * Structured "KEY:value" tags (e.g. `WAT:80-90`, `ZD:3-4`, `G:50g`) carry
+ * brewing and packaging data. Keys listed here are parsed into typed
+ * attributes on the product node instead of becoming tag nodes. Keys match
+ * case-insensitively; a tag whose value doesn't parse stays a regular tag.
+ */
+const num = (s) => Number(s.replace(",", "."));
+
+// "80", "80-90", "2 – 3 min", "0.9/0.3" -> { min, max }
+const parseRange = (v) => {
+  const m = v.match(/^(\d+(?:[.,]\d+)?)\s*(?:[-–/]\s*(\d+(?:[.,]\d+)?))?\s*[a-z°]*$/i);
+  if (!m) return null;
+  const min = num(m[1]);
+  const max = m[2] ? num(m[2]) : min;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+};
+
+// "50g", "ca. 357g", "160G", "30" -> 50
+const parseGrams = (v) => {
+  const m = v.match(/^(?:ca\.?\s*)?(\d+(?:[.,]\d+)?)\s*g?$/i);
+  return m ? num(m[1]) : null;
+};
+
+// "15stk", "4", "25 Stk Teebeutel", "Inhalt 15 Pyramidenbeutel" -> 15
+const parseCount = (v) => {
+  const m = v.match(/^(?:inhalt\s*)?(\d+)(?:\s*stk\.?)?(?:\s+\D*)?$/i);
+  return m ? Number(m[1]) : null;
+};
+
+const parseText = (v) => v || null;
+
+const PARSERS = { range: parseRange, grams: parseGrams, count: parseCount, text: parseText };
+export const PREFIX_TYPES = Object.keys(PARSERS);
+
+// The prefix registry: `type` names a parser above; a value that doesn't parse
+// is tried as the `fallback` prefix (`G: Inhalt 15 Pyramidenbeutel` is a count)
+export const ATTRIBUTE_PREFIXES = {
+  WAT: { key: "waterTemp", label: "Water temperature", unit: "°C", type: "range" },
+  ZD: { key: "steepTime", label: "Steep time", unit: "min", type: "range" },
+  P: { key: "portions", label: "Portions", unit: "", type: "range" },
+  G: { key: "weight", label: "Net weight", unit: "g", type: "grams", fallback: "STK" },
+  GG: { key: "grossWeight", label: "Gross weight", unit: "g", type: "grams" },
+  H: { key: "origin", label: "Origin", unit: "", type: "text" },
+  STK: { key: "pieces", label: "Pieces", unit: "", type: "count" },
+};
+
+// Config "prefixes" merged over ATTRIBUTE_PREFIXES, one prefix at a time; new prefixes need key, label and type
+export const resolvePrefixes = (overrides = {}) => {
+  const prefixes = { ...ATTRIBUTE_PREFIXES };
+  for (const [name, override] of Object.entries(overrides)) {
+    const prefix = name.toUpperCase();
+    const def = { unit: "", ...prefixes[prefix], ...override };
+    const missing = ["key", "label", "type"].filter((field) => !def[field]);
+    if (missing.length) throw new Error(`attribute prefix ${prefix}: missing ${missing.join(", ")}`);
+    if (!PARSERS[def.type]) {
+      throw new Error(`attribute prefix ${prefix}: type must be one of ${PREFIX_TYPES.join(", ")}`);
+    }
+    prefixes[prefix] = def;
+  }
+  for (const [prefix, def] of Object.entries(prefixes)) {
+    if (def.fallback && !prefixes[def.fallback]) {
+      throw new Error(`attribute prefix ${prefix}: fallback ${def.fallback} is not a prefix`);
+    }
+  }
+  return prefixes;
+};
+
+// The registry entry for a "KEY:value" tag's key, and the value; null for other tags
+export const attributePrefix = (tag, prefixes = ATTRIBUTE_PREFIXES) => {
+  const m = tag.match(/^([a-z]+)\s*:\s*(.*)$/i);
+  const def = m && prefixes[m[1].toUpperCase()];
+  return def ? { def, raw: m[2].trim() } : null;
+};
+
+// Returns { key, value } for a recognised attribute tag, otherwise null
+export const parseAttributeTag = (tag, prefixes = ATTRIBUTE_PREFIXES) => {
+  const prefix = attributePrefix(tag, prefixes);
+  if (!prefix) return null;
+  for (const def of [prefix.def, prefixes[prefix.def.fallback]]) {
+    const value = def && PARSERS[def.type](prefix.raw);
+    if (value != null) return { key: def.key, value };
+  }
+  return null;
+};
+
+// Repeated keys widen numbers into a { min, max } range and join text values
+const asRange = (v) => (typeof v === "number" ? { min: v, max: v } : v);
+
+export const mergeAttribute = (prev, value) => {
+  if (prev == null) return value;
+  if (typeof value === "string") return prev.split(" / ").includes(value) ? prev : `${prev} / ${value}`;
+  if (prev === value) return prev;
+  const [a, b] = [asRange(prev), asRange(value)];
+  return { min: Math.min(a.min, b.min), max: Math.max(a.max, b.max) };
+};
+
+export const attributeDef = (key, prefixes = ATTRIBUTE_PREFIXES) =>
+  Object.values(prefixes).find((d) => d.key === key);
+
+export const formatAttribute = (key, value, prefixes = ATTRIBUTE_PREFIXES) => {
+  // Keys from policy "attribute" rules have no prefix definition
+  const def = attributeDef(key, prefixes) || { label: key, unit: "" };
+  const text =
+    typeof value === "object"
+      ? value.min === value.max
+        ? `${value.min}`
+        : `${value.min}–${value.max}`
+      : `${value}`;
+  return `${def.label}: ${text}${def.unit ? ` ${def.unit}` : ""}`;
+};
+
+// Attributes that get a range filter in the page header (label overrides the prefix label)
+export const FILTER_ATTRIBUTES = [
+  { key: "waterTemp" },
+  { key: "steepTime" },
+  { key: "weight", label: "Pack size" },
+];
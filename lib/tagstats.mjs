@@ -0,0 +1,50 @@
+// ----------- Tag statistics (tag panel) -----------
+/**
+ * What the page's tag panel shows about a tag: how many products carry it and
+ * their share of the catalog, the tags those products carry most often besides
+ * it, and how they split by Type and Vendor. Counted from the product -> tag
+ * edges before any projection (a diff leaves its removed products and edges
+ * out), and set on each tag node as
+ *
+ *   details: { count, share, cooccurring: [[tagId, n]], type: [[value, n]], vendor: [[value, n]] }
+ *
+ * with the lists most frequent first; a product without a type or vendor counts
+ * under "". addTagStats changes the tag nodes in place.
+ */
+const COOCCURRING_KEPT = 10;
+const BREAKDOWNS = ["type", "vendor"];
+
+const bump = (map, key) => map.set(key, (map.get(key) ?? 0) + 1);
+const ranked = (map) => Array.from(map).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+export const addTagStats = ({ nodesMap, edges }) => {
+  const products = Array.from(nodesMap.values()).filter((n) => n.group === "product" && n.status !== "removed");
+  const tagsOf = new Map(products.map((p) => [p.id, []]));
+  for (const e of edges) {
+    if (e.status === "removed" || !tagsOf.has(e.from) || nodesMap.get(e.to)?.group !== "tag") continue;
+    tagsOf.get(e.from).push(e.to);
+  }
+
+  const counts = new Map(); // tag id -> { count, cooccurring, type, vendor } with Maps for the lists
+  for (const p of products) {
+    const tags = tagsOf.get(p.id);
+    for (const t of tags) {
+      if (!counts.has(t)) counts.set(t, { count: 0, cooccurring: new Map(), type: new Map(), vendor: new Map() });
+      const c = counts.get(t);
+      c.count++;
+      for (const other of tags) if (other !== t) bump(c.cooccurring, other);
+      for (const name of BREAKDOWNS) bump(c[name], p.details?.fields?.[name] ?? "");
+    }
+  }
+
+  for (const node of nodesMap.values()) {
+    if (node.group !== "tag") continue;
+    const c = counts.get(node.id);
+    node.details = {
+      count: c?.count ?? 0,
+      share: c && products.length ? c.count / products.length : 0,
+      cooccurring: c ? ranked(c.cooccurring).slice(0, COOCCURRING_KEPT) : [],
+      ...Object.fromEntries(BREAKDOWNS.map((name) => [name, c ? ranked(c[name]) : []])),
+    };
+  }
+};
@@ -0,0 +1,16 @@
+// ----------- Tooltips -----------
+/**
+ * Node and edge tooltips (`title`) are data, not HTML: a list of lines, each
+ * a list of runs, where a run is plain text, { b: "bold text" } or
+ * { i: "italic text" }. Titles and tags from the CSV only ever go in as text;
+ * the page builds the tooltip element with textContent, so a title like
+ * `Tasse en verre Jumbo "Tea-Time" <0.5l>` shows as written and markup in an
+ * export never runs.
+ *
+ *   [[bold("Product")], ["Tasse en verre Jumbo"], [italic("tasse-en-verre-jumbo")]]
+ *
+ * Add lines with `node.title = [...node.title, line]`: graphs copy nodes with
+ * spread, so a push could reach the copy's original.
+ */
+export const bold = (text) => ({ b: String(text) });
+export const italic = (text) => ({ i: String(text) });
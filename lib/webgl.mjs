@@ -0,0 +1,353 @@
+import path from "path";
+import { LAYERS } from "./catalog.mjs";
+import { STATUS_COLORS, nodeColor } from "./graph.mjs";
+import { DEFAULT_BATCH_SIZE, statsText } from "./html.mjs";
+import { GUNZIP, LOAD_SHARDS, RENDERER_ASSETS, embedData, escapeHtml, scriptJson, scriptTag } from "./assets.mjs";
+import { RESULTS_PANEL, SEARCH_BOX, SEARCH_SCRIPT, SEARCH_STYLE } from "./search.mjs";
+import { LOADING_OVERLAY, PAGE_SCRIPT, PAGE_STYLE } from "./page.mjs";
+
+// ----------- WebGL page (--renderer webgl) -----------
+/**
+ * For catalogs too big for vis-network's canvas. sigma.js draws the graph with
+ * WebGL at the positions from layoutGraph, so the graph must be laid out. The
+ * page keeps search with neighbourhood highlighting, edge highlighting on
+ * click, the Physics toggle (ForceAtlas2 in a web worker; untick to freeze),
+ * Fit to screen and Export positions. Attribute filters, the cluster legend,
+ * variants, the language switch and the hierarchical layout stay with the
+ * canvas page (renderHtml).
+ */
+export const WEBGL_NODE_THRESHOLD = 3000; // "auto" switches to WebGL above this many nodes
+
+const NODE_SIZES = { min: 3, max: 12 }; // px; vis scales 10–30 on a zoomed-out canvas
+const EDGE_SIZES = { min: 0.5, max: 3 };
+const EDGE_COLOR = "#e5e7eb";
+
+// value -> size, linear between the smallest and largest value present
+const scaleBy = (values, { min, max }) => {
+  const lo = values.reduce((a, v) => Math.min(a, v), Infinity);
+  const hi = values.reduce((a, v) => Math.max(a, v), -Infinity);
+  return (v) => (v == null || hi === lo ? min : Math.round((min + ((v - lo) / (hi - lo)) * (max - min)) * 10) / 10);
+};
+
+// Same colours as edgeColor in the canvas page, as one CSS colour
+const edgeColor = (e) => {
+  if (e.status && e.status !== "unchanged") return STATUS_COLORS[e.status];
+  if (e.strength != null) return `rgba(107,114,128,${Math.round((0.15 + 0.85 * e.strength) * 100) / 100})`;
+  return EDGE_COLOR;
+};
+
+// Only what the page draws or searches; tooltips, attributes and variants stay out to keep big files small
+export const webglPageData = ({ nodes, edges, groups }) => {
+  const nodeSize = scaleBy(nodes.map((n) => n.value).filter((v) => v != null), NODE_SIZES);
+  const edgeSize = scaleBy(edges.map((e) => e.value).filter((v) => v != null), EDGE_SIZES);
+  const pageNodes = nodes.map((n) => ({
+    id: n.id,
+    label: n.label,
+    group: n.group,
+    x: n.x,
+    y: n.y,
+    size: nodeSize(n.value),
+    color: nodeColor(n, groups),
+    ...(n.labels && { labels: n.labels }),
+    ...(n.operational && { operational: true }),
+  }));
+  const pageEdges = edges.map((e) => ({
+    id: e.id,
+    from: e.from,
+    to: e.to,
+    size: e.value == null ? EDGE_SIZES.min : edgeSize(e.value),
+    color: edgeColor(e),
+  }));
+  return { nodes: pageNodes, edges: pageEdges };
+};
+
+/**
+ * Options: title, batchSize, assets, compress and dataUrl, as for renderHtml
+ */
+export const renderWebgl = (graph, { title, batchSize = DEFAULT_BATCH_SIZE, assets, compress = false, dataUrl } = {}) => {
+  const { nodes, layers, groups, changes } = graph;
+  if (nodes.some((n) => n.x == null)) throw new Error("the WebGL page needs node positions; run layoutGraph first");
+  const { tagCount, operationalCount } = graph.stats;
+  const pageData = dataUrl ? { nodes: [], edges: [] } : webglPageData(graph);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title ?? (changes ? "Shopify Catalog Changes" : "Shopify Product–Tag Graph"))}</title>
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<style>${PAGE_STYLE}
+  .swatch { width:10px; height:10px; display:inline-block; border-radius:50%; }
+${SEARCH_STYLE}</style>
+</head>
+<body>
+<header>
+  <strong>${escapeHtml(changes ? `Catalog changes: ${path.basename(changes.old)} → ${path.basename(changes.new)}` : title ?? "Product–Tag Mindmap")}</strong>
+
+  ${SEARCH_BOX}
+
+  <label title="Re-run the force layout (ForceAtlas2); untick to freeze"><input type="checkbox" id="physics" /> Physics</label>
+
+  <button id="fit">Fit to screen</button>
+
+  <button id="exportPositions" title="Download node positions for the next build (--seed-positions)">Export positions</button>
+
+  ${operationalCount ? `<label title="Tags hidden by the tag policy"><input type="checkbox" id="operationalToggle" /> Operational tags (${operationalCount})</label>` : ""}
+
+  <div class="legend">
+    ${changes ? Object.entries(STATUS_COLORS).map(([status, color]) => `<span class="badge"><span class="swatch" style="background:${color}"></span>${status}</span>`).join("\n    ") : ""}
+    <span class="badge"><span class="swatch" style="background:${groups.product.color.background}"></span>Products</span>
+    ${tagCount ? `<span class="badge"><span class="swatch" style="background:${groups.tag.color.background}"></span>Tags</span>` : ""}
+    ${layers.map((name) => `<span class="badge"><span class="swatch" style="background:${groups[name].color.background}"></span>${LAYERS[name].label}</span>`).join("\n    ")}
+  </div>
+
+  ${dataUrl ? `<span class="progress-text" id="dataStatus"></span>` : ""}
+
+  <div class="stats">${statsText(graph)}</div>
+</header>
+<div id="network"></div>
+<div class="panels">
+  ${RESULTS_PANEL}
+</div>
+
+${LOADING_OVERLAY}
+
+<!-- graphology + sigma.js (WebGL) -->
+${RENDERER_ASSETS.webgl.map((name) => scriptTag(name, assets)).join("\n")}
+<script>${compress ? GUNZIP : ""}${dataUrl ? LOAD_SHARDS : ""}${SEARCH_SCRIPT}
+  // ---- Data embedded (or fetched from dataUrl, see renderSite) ----
+  const initialNodes = ${embedData(pageData.nodes, compress)};
+  const initialEdges = ${embedData(pageData.edges, compress)};
+  const dataUrl = ${scriptJson(dataUrl ?? null)};
+
+  // Progressive loading config
+  const BATCH_SIZE = ${batchSize}; // tune: bigger=faster, smaller=smoother
+
+  const container = document.getElementById('network');
+  const graph = new graphology.Graph({ type: 'undirected', multi: true });
+  let renderer = null;
+
+${PAGE_SCRIPT}
+  // ---- Highlight state ----
+  // keep: ids left visible by the search (null = everything); selected: clicked node
+  const operationalToggle = document.getElementById('operationalToggle');
+  let keep = null;
+  let selected = null;
+  let selectedNeighbours = new Set();
+
+  // Policy "hidden" tags stay out of view until switched on
+  const nodeHidden = (id, attrs) =>
+    (!!attrs.operational && !(operationalToggle && operationalToggle.checked)) || (keep !== null && !keep.has(id));
+
+  const nodeReducer = (id, attrs) => {
+    const out = { ...attrs, hidden: nodeHidden(id, attrs) };
+    if (selected !== null && id !== selected && !selectedNeighbours.has(id)) {
+      out.color = '#e5e7eb';
+      out.label = '';
+    }
+    if (id === selected) out.highlighted = true;
+    return out;
+  };
+
+  const edgeReducer = (id, attrs) => {
+    const [from, to] = graph.extremities(id);
+    const out = { ...attrs, hidden: nodeHidden(from, graph.getNodeAttributes(from)) || nodeHidden(to, graph.getNodeAttributes(to)) };
+    if (selected !== null) {
+      if (from === selected || to === selected) {
+        out.color = '#ef4444';
+        out.size = Math.max(attrs.size, 1.5);
+      } else out.hidden = true;
+    }
+    return out;
+  };
+
+  // sigma's y axis points up, vis's (and the build-time layout's) points down
+  const addNode = (n) => graph.addNode(n.id, { ...n, y: -n.y });
+
+  const addEdges = edgeQueue(
+    (id) => graph.hasNode(id),
+    (ready) => ready.forEach(e => graph.addEdgeWithKey(e.id, e.from, e.to, { size: e.size, color: e.color }))
+  );
+
+  // Add edges, create the renderer, hide loader
+  const startRenderer = () => {
+    addEdges(initialEdges);
+    renderer = new Sigma(graph, container, { nodeReducer, edgeReducer, labelRenderedSizeThreshold: 8 });
+    bindEvents();
+    setTimeout(() => loadingEl.classList.add('hide'), 150);
+  };
+
+  // Add nodes in batches so the UI can update the counter smoothly
+  const addNodesInBatches = (startIndex = 0) => {
+    const end = Math.min(startIndex + BATCH_SIZE, totalNodes);
+    for (let i = startIndex; i < end; i++) addNode(initialNodes[i]);
+    loadedNodes = end;
+    updateProgress();
+    if (end < totalNodes) {
+      setTimeout(() => addNodesInBatches(end), 0);
+    } else {
+      startRenderer();
+    }
+  };
+
+  // A data file: draw its nodes (the first one opens the page) and whatever edges are complete.
+  // The camera is fixed to the whole graph's extent so the view doesn't rescale as files arrive
+  const addShard = (shard, manifest) => {
+    totalNodes = manifest.nodeCount;
+    shard.nodes.forEach(n => { initialNodes.push(n); addNode(n); });
+    shard.edges.forEach(e => initialEdges.push(e));
+    loadedNodes += shard.nodes.length;
+    updateProgress();
+    if (!renderer) {
+      startRenderer();
+      const { x, y } = manifest.bounds;
+      renderer.setCustomBBox({ x, y: [-y[1], -y[0]] });
+    } else {
+      addEdges(shard.edges);
+      if (search.value) highlight(search.value);
+    }
+  };
+
+  // Kick off progressive load; data files come one by one, a searched neighbourhood first
+  updateProgress();
+  if (dataUrl) {
+    loadShards(dataUrl, {
+      query: () => finder.terms(search.value),
+      onShard: addShard,
+      onProgress: (p) => { bytes = p; updateProgress(); },
+    }).then(() => {
+      if (!renderer) startRenderer();
+      updateProgress();
+    }).catch((err) => {
+      textEl.textContent = 'Could not load the graph data (' + err.message + '). Serve this folder over HTTP; browsers block data files on file:// pages.';
+      loadingEl.classList.remove('hide');
+    });
+  } else {
+    addNodesInBatches(0);
+  }
+
+  // ---- Controls ----
+  const search = document.getElementById('search');
+  const physicsToggle = document.getElementById('physics');
+  const fitBtn = document.getElementById('fit');
+
+  // Camera coordinates are the graph's bounding box mapped to 0..1
+  const fitVisible = () => {
+    if (!renderer) return;
+    const ids = graph.filterNodes((id, attrs) => !nodeHidden(id, attrs));
+    if (!ids.length) return;
+    if (ids.length === graph.order) return renderer.getCamera().animatedReset({ duration: 600 });
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    ids.forEach(id => {
+      const d = renderer.getNodeDisplayData(id);
+      minX = Math.min(minX, d.x); maxX = Math.max(maxX, d.x);
+      minY = Math.min(minY, d.y); maxY = Math.max(maxY, d.y);
+    });
+    renderer.getCamera().animate({
+      x: (minX + maxX) / 2,
+      y: (minY + maxY) / 2,
+      ratio: Math.max(maxX - minX, maxY - minY, 0.05) * 1.2,
+    }, { duration: 600 });
+  };
+
+  // Search matches every language label of a concept, not just the one shown
+  const finder = createSearch({
+    nodes: () => graph.mapNodes((id, attrs) => attrs),
+    node: (id) => (graph.hasNode(id) ? graph.getNodeAttributes(id) : null),
+    neighbours: (id) => graph.neighbors(id),
+  });
+
+  const highlight = (query) => {
+    if (!renderer) return;
+    const found = finder.run(query);
+    ui.showResults(found, (id) => graph.getNodeAttributes(id));
+    if (!found) {
+      keep = null;
+    } else {
+      keep = new Set(found);
+      found.forEach(id => graph.forEachNeighbor(id, nid => keep.add(nid)));
+    }
+    renderer.refresh();
+    fitVisible();
+  };
+
+  // Autocomplete while typing; a result in the panel zooms to its node
+  const ui = searchBox({
+    input: search,
+    finder,
+    onQuery: highlight,
+    focus: (id) => {
+      if (!renderer) return;
+      selected = id;
+      selectedNeighbours = new Set(graph.neighbors(id));
+      renderer.refresh();
+      const d = renderer.getNodeDisplayData(id);
+      renderer.getCamera().animate({ x: d.x, y: d.y, ratio: 0.15 }, { duration: 600 });
+    },
+  });
+
+  if (operationalToggle) {
+    operationalToggle.addEventListener('change', () => highlight(search.value));
+  }
+
+  // Physics toggle: ForceAtlas2 runs in a worker from the current positions; unticking freezes them
+  let fa2 = null;
+  physicsToggle.addEventListener('change', (e) => {
+    if (!renderer) return;
+    if (e.target.checked) {
+      fa2 = fa2 || new graphologyLibrary.FA2Layout(graph, {
+        settings: graphologyLibrary.layoutForceAtlas2.inferSettings(graph),
+      });
+      fa2.start();
+    } else if (fa2) {
+      fa2.stop();
+    }
+  });
+
+  fitBtn.addEventListener('click', fitVisible);
+
+  exportPositions(() => {
+    if (!renderer) return null;
+    const out = {};
+    graph.forEachNode((id, attrs) => {
+      out[id] = { x: attrs.x, y: -attrs.y };
+    });
+    return out;
+  });
+
+  // ---- Highlight edges on node select, drag nodes ----
+  function bindEvents() {
+    renderer.on('clickNode', ({ node }) => {
+      selected = node;
+      selectedNeighbours = new Set(graph.neighbors(node));
+      renderer.refresh();
+    });
+    renderer.on('clickStage', () => {
+      selected = null;
+      selectedNeighbours = new Set();
+      renderer.refresh();
+    });
+
+    // Drag a node: move it with the mouse instead of panning the camera
+    // (the bounding box is pinned so the rest of the graph doesn't rescale meanwhile)
+    let dragged = null;
+    renderer.on('downNode', ({ node }) => {
+      dragged = node;
+      if (!renderer.getCustomBBox()) renderer.setCustomBBox(renderer.getBBox());
+    });
+    renderer.getMouseCaptor().on('mousemovebody', (e) => {
+      if (!dragged) return;
+      const pos = renderer.viewportToGraph(e);
+      graph.mergeNodeAttributes(dragged, { x: pos.x, y: pos.y });
+      e.preventSigmaDefault();
+      e.original.preventDefault();
+      e.original.stopPropagation();
+    });
+    renderer.getMouseCaptor().on('mouseup', () => {
+      dragged = null;
+    });
+  }
+</script>
+</body>
+</html>`;
+};
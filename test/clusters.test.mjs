@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProducts, buildGraph } from "../lib/index.mjs";
+
+// Two tea families that share nothing, plus a lone product
+const rows = [
+  'Sencha,"Grüntee, Japan"',
+  'Matcha,"Grüntee, Japan"',
+  'Bancha,"Grüntee, Japan"',
+  'Assam,"Schwarztee, Indien"',
+  'Darjeeling,"Schwarztee, Indien"',
+  'Nilgiri,"Schwarztee, Indien"',
+  "Kanne,Gusseisen",
+];
+const clustered = (lines) =>
+  buildGraph(parseProducts(["Title,Tags", ...lines].join("\n")).products, { clusters: true });
+const membership = (graph) => Object.fromEntries(graph.nodes.map((n) => [n.id, n.cluster]));
+
+test("clusters separate unconnected tea families and pool small ones into Other", () => {
+  const graph = clustered(rows);
+  const cluster = (id) => graph.nodes.find((n) => n.id === id).cluster;
+  assert.equal(cluster("product:sencha"), cluster("tag:japan"));
+  assert.equal(cluster("product:assam"), cluster("tag:indien"));
+  assert.notEqual(cluster("product:sencha"), cluster("product:assam"));
+  assert.equal(cluster("product:kanne"), -1);
+  assert.deepEqual(
+    graph.clusters.map(({ id, size }) => [id, size]),
+    [[0, 5], [1, 5], [-1, 2]]
+  );
+  assert.match(graph.clusters[0].name, /Indien|Schwarztee/);
+});
+
+test("clusters are the same on every rebuild and for any row order", () => {
+  const first = membership(clustered(rows));
+  assert.deepEqual(membership(clustered(rows)), first);
+  assert.deepEqual(membership(clustered(rows.slice().reverse())), first);
+});
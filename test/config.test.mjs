@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  parseConfig,
+  parseProducts,
+  buildGraph,
+  buildTagReport,
+  resolvePrefixes,
+  parseAttributeTag,
+} from "../lib/index.mjs";
+
+const problems = (config) => {
+  try {
+    parseConfig(config);
+  } catch (err) {
+    return err.message.split("\n").slice(1).map((line) => line.replace(/^\s+- /, ""));
+  }
+  assert.fail("expected the config to be rejected");
+};
+
+test("the repo's graph.config.json is valid", () => {
+  const config = parseConfig(fs.readFileSync(new URL("../graph.config.json", import.meta.url), "utf8"));
+  assert.equal(config.separator, ",");
+  assert.deepEqual(resolvePrefixes(config.prefixes), resolvePrefixes());
+});
+
+test("parseConfig compiles regex separators and expands hex colours", () => {
+  const config = parseConfig({ separator: "/[,;|]/", groups: { tag: { color: "#fdae6b" } } });
+  assert.deepEqual(config.separator, /[,;|]/);
+  assert.deepEqual(config.groups.tag.color, { background: "#fdae6b", border: "#fdae6b" });
+});
+
+test("parseConfig lists every problem with its path", () => {
+  assert.deepEqual(
+    problems({
+      titel: "x",
+      columns: { title: "" },
+      groups: { tag: { shape: "hexagonn", color: "orange" } },
+      physics: { stabilization: { iterations: 0 } },
+      layout: { default: "radial" },
+      batchSize: 2.5,
+    }),
+    [
+      "titel: unknown key, expected one of title, output, columns, separator, groups, physics, layout, batchSize, prefixes, shardSize, panelColumns",
+      'columns.title: expected a non-empty string, got ""',
+      'groups.tag.shape: expected one of dot, diamond, square, triangle, triangleDown, star, box, ellipse, circle, hexagon, database, text, got "hexagonn"',
+      'groups.tag.color: expected a hex colour like "#6baed6", got "orange"',
+      "physics.stabilization.iterations: expected a positive integer, got 0",
+      'layout.default: expected one of force, hierarchical, got "radial"',
+      "batchSize: expected a positive integer, got 2.5",
+    ]
+  );
+  assert.deepEqual(problems([]), ["config: expected an object, got []"]);
+  assert.match(problems({ separator: "/[/" })[0], /^separator: invalid regular expression/);
+});
+
+test("parseConfig checks attribute prefixes", () => {
+  assert.deepEqual(problems({ prefixes: { "X-1": {}, TAX: { unit: 7, type: "percent" } } }), [
+    "prefixes.X-1: expected a prefix made of letters, like WAT",
+    'prefixes.TAX.unit: expected a string, got 7',
+    'prefixes.TAX.type: expected one of range, grams, count, text, got "percent"',
+  ]);
+});
+
+test("parseConfig takes panelColumns as a list of names or \"*\"", () => {
+  assert.deepEqual(parseConfig({ panelColumns: ["Vendor", "SEO Title"] }).panelColumns, ["Vendor", "SEO Title"]);
+  assert.equal(parseConfig({ panelColumns: "*" }).panelColumns, "*");
+  assert.deepEqual(problems({ panelColumns: 5 }), ['panelColumns: expected a list of column names or "*", got 5']);
+  assert.deepEqual(problems({ panelColumns: ["Vendor", ""] }), ['panelColumns[1]: expected a non-empty string, got ""']);
+});
+
+test("config prefixes merge over the built-in ones", () => {
+  const prefixes = resolvePrefixes({
+    tax: { key: "taxRate", label: "Tax rate", unit: "%", type: "range" },
+    G: { label: "Pack size" },
+  });
+  assert.deepEqual(parseAttributeTag("TAX: 2.5", prefixes), { key: "taxRate", value: { min: 2.5, max: 2.5 } });
+  assert.deepEqual(prefixes.G, { key: "weight", label: "Pack size", unit: "g", type: "grams", fallback: "STK" });
+  assert.deepEqual(parseAttributeTag("G: Inhalt 15 Pyramidenbeutel", prefixes), { key: "pieces", value: 15 });
+  assert.throws(() => resolvePrefixes({ TAX: { label: "Tax" } }), /attribute prefix TAX: missing key, type/);
+  assert.throws(() => resolvePrefixes({ G: { fallback: "PCS" } }), /attribute prefix G: fallback PCS is not a prefix/);
+});
+
+test("buildGraph and the tag report use config prefixes", () => {
+  const catalog = parseProducts('Title,Tags\nSencha,"TAX: 2.5, G:50g"\nMatcha,"TAX: 7.7, Japan"\n');
+  const prefixes = { TAX: { key: "taxRate", label: "Tax rate", unit: "%", type: "range" } };
+  const graph = buildGraph(catalog.products, { prefixes });
+  const sencha = graph.nodes.find((n) => n.id === "product:sencha");
+  assert.deepEqual(sencha.attrs, { taxRate: { min: 2.5, max: 2.5 }, weight: 50 });
+  assert.deepEqual(sencha.title, [[{ b: "Product" }], ["Sencha"], ["Tax rate: 2.5 %"], ["Net weight: 50 g"]]);
+  assert.ok(!graph.nodes.some((n) => n.id.startsWith("tag:tax")));
+  assert.match(buildTagReport(catalog), /TAX: 2\.5/);
+  assert.doesNotMatch(buildTagReport(catalog, { prefixes }), /TAX: 2\.5/);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseProducts, parseSynonyms, buildGraph, toGraphml, toGexf, toJson, toEdgelist } from "../lib/index.mjs";
+
+const csv = fs.readFileSync(new URL("../fixtures/small-catalog.csv", import.meta.url), "utf8");
+const synonyms = parseSynonyms(JSON.stringify([{ de: "Grüntee", en: "Green tea" }]));
+const graph = buildGraph(parseProducts(csv).products, { synonyms });
+
+test("GraphML declares one key per field and flattens ranges and labels", () => {
+  const xml = toGraphml(graph);
+  const key = (name) => xml.match(new RegExp(`<key id="(n\\d+)" for="node" attr.name="${name}" attr.type="(\\w+)"/>`));
+  assert.equal(key("waterTemp_min")[2], "double");
+  assert.equal(key("label_en")[2], "string");
+  assert.ok(!key("title"), "vis tooltips are left out");
+  assert.match(xml, new RegExp(`<node id="product:sencha">[^]*?<data key="${key("waterTemp_max")[1]}">80</data>`));
+  assert.match(xml, /<edge id="e0" source="product:sencha" target="tag:grntee">/);
+});
+
+test("GEXF carries labels, weights and node colours", () => {
+  const xml = toGexf(graph);
+  assert.match(xml, /<gexf xmlns="http:\/\/gexf.net\/1.3"/);
+  assert.match(xml, /<node id="tag:grntee" label="Grüntee">/);
+  assert.match(xml, /<viz:color r="\d+" g="\d+" b="\d+"\/>/);
+  assert.match(xml, /<edge id="e0" source="product:sencha" target="tag:grntee" weight="1">/);
+});
+
+test("JSON keeps nested attributes and variants", () => {
+  const data = JSON.parse(toJson(graph));
+  const sencha = data.nodes.find((n) => n.id === "product:sencha");
+  assert.deepEqual(sencha.attrs, { waterTemp: { min: 70, max: 80 }, weight: 50 });
+  assert.equal(sencha.variants.length, 2);
+  assert.equal(sencha.title, undefined);
+  assert.deepEqual(data.edges[0], { id: "e0", source: "product:sencha", target: "tag:grntee", weight: 1 });
+});
+
+test("the edge list is CSV with labels and groups for both ends", () => {
+  const lines = toEdgelist(graph).trim().split("\n");
+  assert.equal(lines[0], "source,target,weight,source_label,target_label,source_group,target_group");
+  assert.equal(lines[1], "product:sencha,tag:grntee,1,Sencha,Grüntee,product,tag");
+  assert.equal(lines.length, graph.edges.length + 1);
+});
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseProducts, buildGraph, buildDiffGraph, parseSynonyms, describeChanges } from "../lib/index.mjs";
+
+const csv = fs.readFileSync(new URL("../fixtures/small-catalog.csv", import.meta.url), "utf8");
+
+test("parseProducts groups variant rows by handle", () => {
+  const { products, warnings } = parseProducts(csv, { layers: ["vendor", "type"] });
+  assert.deepEqual([...products.keys()], ["sencha", "earl-grey", "matcha"]);
+  const sencha = products.get("sencha");
+  assert.equal(sencha.title, "Sencha");
+  assert.deepEqual(sencha.tags, ["Grüntee", "Japan", "WAT:70-80", "G:50g"]);
+  assert.equal(sencha.variants.length, 2);
+  assert.deepEqual(sencha.fields, { vendor: "London Tea", type: "Tee lose" });
+  assert.deepEqual(warnings, []);
+});
+
+test("parseProducts needs the title and tags columns", () => {
+  assert.throws(() => parseProducts("Handle,Name\nsencha,Sencha\n"), /Could not find 'Title' and\/or 'Tags'/);
+});
+
+test("parseProducts keeps only the panel columns asked for, without empty values", () => {
+  const panel = (panelColumns, text = csv) => parseProducts(text, { panelColumns });
+  assert.deepEqual(panel(undefined).products.get("sencha").columns, []);
+  assert.deepEqual(panel(["type"]).products.get("sencha").columns, [["Type", "Tee lose"]]);
+  assert.deepEqual(panel("*").products.get("sencha").columns, [["Vendor", "London Tea"], ["Type", "Tee lose"]]);
+  assert.deepEqual(panel(["Status"]).warnings, ["No 'Status' column in products.csv; leaving it out of the product panel."]);
+  assert.deepEqual(panel("*", "Title,Tags,Vendor,Type\nSencha,Japan,,Tee lose\n").products.get("Sencha").columns, [
+    ["Type", "Tee lose"],
+  ]);
+});
+
+test("buildGraph leaves out product details with nothing to show", () => {
+  const details = (text, options) =>
+    buildGraph(parseProducts(text, options).products).nodes.find((n) => n.id === "product:earl-grey").details;
+  assert.equal(details("Handle,Title,Tags\nearl-grey,Earl Grey,Schwarztee\n"), undefined);
+  assert.deepEqual(details(csv), { fields: { vendor: "London Tea", type: "Tee im Beutel" } });
+  assert.deepEqual(details(csv, { panelColumns: ["Vendor"] }), {
+    fields: { vendor: "London Tea", type: "Tee im Beutel" },
+    columns: [["Vendor", "London Tea"]],
+  });
+});
+
+test("buildGraph links products to tags, merging tags that differ only in case", () => {
+  const graph = buildGraph(parseProducts(csv).products);
+  const ids = (group) => graph.nodes.filter((n) => n.group === group).map((n) => n.id);
+  assert.deepEqual(ids("product"), ["product:sencha", "product:earl-grey", "product:matcha"]);
+  assert.deepEqual(ids("tag").sort(), ["tag:bestseller", "tag:grntee", "tag:japan", "tag:schwarztee"]);
+  assert.equal(graph.nodes.length, 7);
+  assert.deepEqual(
+    graph.edges.map((e) => `${e.from} -> ${e.to}`),
+    [
+      "product:sencha -> tag:grntee",
+      "product:sencha -> tag:japan",
+      "product:earl-grey -> tag:schwarztee",
+      "product:earl-grey -> tag:bestseller",
+      "product:matcha -> tag:grntee",
+      "product:matcha -> tag:japan",
+      "product:matcha -> tag:bestseller",
+    ]
+  );
+  assert.equal(graph.stats.edgeCount, 7);
+  assert.equal(graph.stats.attributeTagCount, 2);
+});
+
+test("buildGraph parses attribute tags onto the product instead of drawing them", () => {
+  const graph = buildGraph(parseProducts(csv).products);
+  const sencha = graph.nodes.find((n) => n.id === "product:sencha");
+  assert.deepEqual(sencha.attrs, { waterTemp: { min: 70, max: 80 }, weight: 50 });
+  assert.ok(!graph.nodes.some((n) => n.id.startsWith("tag:wat")));
+});
+
+test("buildGraph adds layer nodes with --layer", () => {
+  const graph = buildGraph(parseProducts(csv, { layers: ["vendor"] }).products, { layers: ["vendor"] });
+  assert.deepEqual(
+    graph.nodes.filter((n) => n.group === "vendor").map((n) => n.id),
+    ["vendor:london-tea", "vendor:kyoto-co"]
+  );
+  assert.equal(graph.edges.length, 10);
+});
+
+test("buildGraph reports attribute tags with a known key whose value didn't parse", () => {
+  const { products } = parseProducts("Title,Tags\nSencha,\"ZD: lang, ZD:2-3, Grüntee\"\nBancha,ZD: lang\n");
+  const graph = buildGraph(products);
+  assert.deepEqual(graph.stats.unparsedAttributeTags, [["ZD: lang", 2]]);
+  assert.ok(graph.nodes.some((n) => n.id === "tag:zd:-lang"));
+});
+
+test("buildGraph keeps a concept's labels when a plain tag with the same id comes first", () => {
+  const { products } = parseProducts("Title,Tags\nSencha,Grntee\nMatcha,Grüntee\n");
+  const synonyms = parseSynonyms(JSON.stringify([{ de: "Grüntee", en: "Green tea" }]));
+  const tag = buildGraph(products, { synonyms }).nodes.find((n) => n.id === "tag:grntee");
+  assert.equal(tag.label, "Grüntee");
+  assert.deepEqual(tag.labels, { de: "Grüntee", en: "Green tea" });
+  assert.deepEqual(tag.aliases, ["Grntee", "Grüntee"]);
+});
+
+test("buildDiffGraph marks nodes and edges by status and writes a change log", () => {
+  const before = parseProducts(csv, { source: "old.csv" });
+  const after = parseProducts(
+    [
+      "Handle,Title,Tags",
+      "sencha,Sencha Superior,\"Grüntee, Japan\"",
+      "earl-grey,Earl Grey,\"Schwarztee, bestseller, Bergamotte\"",
+      "assam,Assam,Schwarztee",
+    ].join("\n"),
+    { source: "new.csv" }
+  );
+  const graph = buildDiffGraph(before, after);
+  const status = (id) => graph.nodes.find((n) => n.id === id).status;
+  assert.equal(status("product:sencha"), "changed");
+  assert.equal(status("product:earl-grey"), "unchanged");
+  assert.equal(status("product:assam"), "added");
+  assert.equal(status("product:matcha"), "removed");
+  assert.equal(status("tag:bergamotte"), "added");
+  const removed = graph.edges.find((e) => e.from === "product:matcha" && e.to === "tag:japan");
+  assert.equal(removed.status, "removed");
+  assert.equal(removed.dashes, true);
+
+  const { changes } = graph;
+  assert.equal(changes.old, "old.csv");
+  assert.deepEqual(changes.products.added, [{ id: "product:assam", title: "Assam" }]);
+  assert.deepEqual(changes.products.retitled, [{ id: "product:sencha", from: "Sencha", to: "Sencha Superior" }]);
+  assert.deepEqual(changes.productTags, [
+    { id: "product:earl-grey", title: "Earl Grey", added: ["Bergamotte"], removed: [] },
+  ]);
+  assert.deepEqual(changes.tags, { appeared: ["Bergamotte"], disappeared: [] });
+  assert.equal(describeChanges(changes), "+1 / −1 products, 1 retitled, 1 retagged, +1 / −0 tags");
+});
+
+test("buildDiffGraph refuses projections and clusters", () => {
+  const catalog = parseProducts(csv);
+  assert.throws(() => buildDiffGraph(catalog, catalog, { clusters: true }), /can't be combined/);
+});
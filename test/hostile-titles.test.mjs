@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import vm from "vm";
+import { parseProducts, buildGraph, layoutGraph, renderHtml, renderWebgl, renderSite, splitTags } from "../lib/index.mjs";
+import { readEmbedded } from "../lib/assets.mjs";
+
+// fixtures/hostile-titles.csv in every page mode: markup from the CSV stays text
+const csv = fs.readFileSync(new URL("../fixtures/hostile-titles.csv", import.meta.url), "utf8");
+const layers = ["vendor", "type", "category"];
+const catalog = parseProducts(csv, { layers });
+const graph = buildGraph(catalog.products, { layers });
+layoutGraph(graph);
+const title = "Tea </script><!-- <script>";
+
+const site = renderSite(graph, { renderer: "canvas", title });
+const pages = {
+  canvas: renderHtml(graph, { title }),
+  webgl: renderWebgl(graph, { title }),
+  compress: renderHtml(graph, { title, compress: true }),
+  "out-dir": site["index.html"],
+};
+
+// Script blocks as the browser splits them: each ends at the first "</script"
+const SCRIPT_BLOCK = /<script\b[^>]*>([\s\S]*?)<\/script\s*>/gi;
+
+// Texts the CSV brings in; the only place a "<" may come from
+const csvTexts = catalog.records
+  .flatMap((record) => Object.values(record).flatMap((value) => [value, ...splitTags(value)]))
+  .filter((text) => text.includes("<"))
+  .sort((a, b) => b.length - a.length);
+
+const embedded = (page, name) => readEmbedded(page.match(new RegExp(`const ${name} = (.*);\\n`))[1]);
+
+// Nodes and edges as each page gets them: embedded, or from the data files
+const pageData = {
+  canvas: () => [...embedded(pages.canvas, "initialNodes"), ...embedded(pages.canvas, "initialEdges")],
+  webgl: () => [...embedded(pages.webgl, "initialNodes"), ...embedded(pages.webgl, "initialEdges")],
+  compress: () => [...embedded(pages.compress, "initialNodes"), ...embedded(pages.compress, "initialEdges")],
+  "out-dir": () =>
+    Object.entries(site)
+      .filter(([file]) => /shard-\d+\.json$/.test(file))
+      .flatMap(([, text]) => {
+        const shard = JSON.parse(text);
+        return [...shard.nodes, ...shard.edges];
+      }),
+};
+
+for (const [mode, page] of Object.entries(pages)) {
+  test(`${mode}: every inline script parses`, () => {
+    const scripts = [...page.matchAll(SCRIPT_BLOCK)].map((m) => m[1]);
+    assert.ok(scripts.some((code) => code.includes("initialNodes")));
+    scripts.forEach((code) => assert.doesNotThrow(() => new vm.Script(code)));
+  });
+
+  test(`${mode}: no "</script" or "<!--" inside a script block`, () => {
+    for (const [, code] of page.matchAll(SCRIPT_BLOCK)) {
+      assert.doesNotMatch(code, /<!--/);
+      assert.doesNotMatch(code, /<script/i);
+    }
+    // A "</script" inside a block would have ended it early, leaving script text outside
+    assert.doesNotMatch(page.replace(SCRIPT_BLOCK, ""), /<\/script/i);
+  });
+
+  test(`${mode}: tooltips are text runs without markup`, () => {
+    const items = pageData[mode]();
+    assert.ok(items.length);
+    for (const item of items.filter((i) => i.title !== undefined)) {
+      assert.ok(Array.isArray(item.title), `${item.id}: title is not a list of lines`);
+      for (const line of item.title) {
+        for (const run of line) {
+          const text = typeof run === "string" ? run : run.b ?? run.i;
+          if (typeof run !== "string") assert.deepEqual(Object.keys(run).length, 1, `${item.id}: ${JSON.stringify(run)}`);
+          assert.equal(typeof text, "string", `${item.id}: ${JSON.stringify(run)}`);
+          const rest = csvTexts.reduce((s, csvText) => s.split(csvText).join(""), text);
+          assert.ok(!rest.includes("<"), `${item.id}: markup in tooltip run ${JSON.stringify(text)}`);
+        }
+      }
+    }
+  });
+}
+
+test("webgl: the page data leaves tooltips out", () => {
+  assert.ok(pageData.webgl().every((item) => item.title === undefined));
+});
+
+test("canvas: tooltip runs keep the titles as written", () => {
+  const node = pageData.canvas().find((n) => n.id === "product:script-title");
+  assert.deepEqual(node.title.slice(0, 2), [[{ b: "Product" }], ['Breakfast </script><script>alert("script")</script>']]);
+});
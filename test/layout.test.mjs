@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  parseProducts,
+  buildGraph,
+  layoutGraph,
+  parsePositions,
+  renderHtml,
+  toJson,
+  toCytoscape,
+} from "../lib/index.mjs";
+
+const csv = fs.readFileSync(new URL("../fixtures/small-catalog.csv", import.meta.url), "utf8");
+const laidOut = () => layoutGraph(buildGraph(parseProducts(csv).products));
+const positionsOf = (graph) => new Map(graph.nodes.map((n) => [n.id, { x: n.x, y: n.y }]));
+
+test("layoutGraph places every node, the same way on every build", () => {
+  const graph = laidOut();
+  assert.ok(graph.nodes.every((n) => Number.isFinite(n.x) && Number.isFinite(n.y)));
+  assert.deepEqual(positionsOf(laidOut()), positionsOf(graph));
+});
+
+test("layoutGraph stops once the nodes settle", () => {
+  const { layoutSteps } = laidOut().stats;
+  assert.ok(layoutSteps > 0 && layoutSteps < 1000, `took ${layoutSteps} steps`);
+});
+
+test("layoutGraph runs no steps when every node is seeded", () => {
+  const graph = laidOut();
+  assert.equal(layoutGraph(graph, { positions: positionsOf(graph) }).stats.layoutSteps, 0);
+});
+
+test("parsePositions reads the page's Export positions file", () => {
+  const positions = parsePositions('{ "product:sencha": { "x": 1.5, "y": -2 }, "tag:japan": { "x": 0 } }');
+  assert.deepEqual([...positions], [["product:sencha", { x: 1.5, y: -2 }]]);
+});
+
+test("parsePositions reads an HTML page, a JSON export and a Cytoscape export", () => {
+  const graph = laidOut();
+  const expected = positionsOf(graph);
+  assert.deepEqual(parsePositions(renderHtml(graph)), expected);
+  assert.deepEqual(parsePositions(toJson(graph)), expected);
+  assert.deepEqual(parsePositions(toCytoscape(graph)), expected);
+});
+
+test("parsePositions rejects files without positions", () => {
+  assert.throws(() => parsePositions('{ "nodes": [{ "id": "product:sencha" }] }'), /no node positions found/);
+  const unplaced = renderHtml(buildGraph(parseProducts(csv).products));
+  assert.throws(() => parsePositions(unplaced), /no node positions found/);
+  assert.throws(() => parsePositions("<html></html>"), SyntaxError);
+});
+
+test("seeded nodes stay put and new nodes are placed around them", () => {
+  const seeded = new Map([
+    ["product:sencha", { x: 100, y: 200 }],
+    ["tag:japan", { x: -50, y: 25 }],
+  ]);
+  const graph = layoutGraph(buildGraph(parseProducts(csv).products), { positions: seeded });
+  const node = (id) => graph.nodes.find((n) => n.id === id);
+  assert.deepEqual({ x: node("product:sencha").x, y: node("product:sencha").y }, { x: 100, y: 200 });
+  assert.deepEqual({ x: node("tag:japan").x, y: node("tag:japan").y }, { x: -50, y: 25 });
+  assert.ok(graph.nodes.every((n) => Number.isFinite(n.x) && Number.isFinite(n.y)));
+});
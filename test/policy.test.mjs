@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePolicy, applyPolicy, parseProducts, buildGraph, describePolicy } from "../lib/index.mjs";
+
+const policy = parsePolicy(
+  JSON.stringify({
+    rules: [
+      { match: "NOREVIEW", action: "drop" },
+      { match: ["new", "neu"], action: "badge", badge: "new" },
+      { match: "/^tax\\s*([\\d.]+)$/i", action: "attribute", key: "Tax class" },
+      { match: "Galaxus", action: "hidden" },
+      { match: "/^gal/i", action: "drop" },
+    ],
+  })
+);
+
+test("applyPolicy matches names case-insensitively and regexes, first rule wins", () => {
+  assert.deepEqual(applyPolicy(policy, "noreview"), { action: "drop", key: undefined, value: "noreview" });
+  assert.equal(applyPolicy(policy, "Neu").value, "new");
+  assert.deepEqual(applyPolicy(policy, "TAX 7.7"), { action: "attribute", key: "Tax class", value: "7.7" });
+  assert.equal(applyPolicy(policy, "Galaxus").action, "hidden");
+  assert.equal(applyPolicy(policy, "Galerie").action, "drop");
+  assert.equal(applyPolicy(policy, "Japan"), null);
+});
+
+test("parsePolicy rejects malformed rules", () => {
+  assert.throws(() => parsePolicy({ rules: {} }), /expected \{ "rules": \[\.\.\.\] \}/);
+  assert.throws(() => parsePolicy({ rules: [{ match: "x", action: "keep" }] }), /rule 1: action must be one of/);
+  assert.throws(() => parsePolicy({ rules: [{ match: "x", action: "attribute" }] }), /rule 1: attribute rules need a "key"/);
+  assert.throws(() => parsePolicy({ rules: [{ action: "drop" }] }), /rule 1: "match" is missing/);
+});
+
+test("buildGraph drops, badges, stores and hides tags by policy", () => {
+  const { products } = parseProducts('Title,Tags\nSencha,"Japan, NOREVIEW, neu, tax 2.5, Galaxus"\nMatcha,"Japan, Galaxus"\n');
+  const graph = buildGraph(products, { policy });
+  const sencha = graph.nodes.find((n) => n.id === "product:sencha");
+  assert.deepEqual(sencha.badges, ["new"]);
+  assert.deepEqual(sencha.attrs, { "Tax class": "2.5" });
+  assert.deepEqual(sencha.title, [[{ b: "Product" }], ["Sencha"], ["🏷 new"], ["Tax class: 2.5"]]);
+  assert.ok(!graph.nodes.some((n) => n.id === "tag:noreview"));
+  const galaxus = graph.nodes.find((n) => n.id === "tag:galaxus");
+  assert.equal(galaxus.operational, true);
+  assert.equal(galaxus.hidden, true);
+  assert.deepEqual(graph.stats.policyCounts, { drop: 1, badge: 1, attribute: 1, hidden: 2 });
+  assert.equal(describePolicy(graph.stats.policyCounts), "1 dropped, 1 as badges, 1 as attributes, 2 hidden");
+});
+
+test("hidden tags are left out of projections", () => {
+  const { products } = parseProducts('Title,Tags\nSencha,"Japan, Galaxus"\nMatcha,Galaxus\n');
+  const graph = buildGraph(products, { policy, projection: "products", minSimilarity: 0 });
+  assert.equal(graph.stats.projectedEdgeCount, 0);
+});
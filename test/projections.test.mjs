@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProducts, buildGraph } from "../lib/index.mjs";
+
+// A {x, y}, B {x, y, z}, C {z}, D {x}
+const { products } = parseProducts('Title,Tags\nA,"x, y"\nB,"x, y, z"\nC,z\nD,x\n');
+const edge = (graph, from, to) => graph.edges.find((e) => e.from === from && e.to === to);
+
+test("the product projection weights pairs by Jaccard or cosine similarity of their tags", () => {
+  const options = { projection: "products", minSimilarity: 0, topK: 5 };
+  const jaccard = buildGraph(products, { ...options, similarity: "jaccard" });
+  assert.ok(jaccard.nodes.every((n) => n.group === "product"));
+  assert.equal(jaccard.stats.projectedEdgeCount, 4);
+  assert.equal(edge(jaccard, "product:a", "product:b").value, 0.667);
+  assert.equal(edge(jaccard, "product:a", "product:d").value, 0.5);
+  assert.equal(edge(jaccard, "product:b", "product:c").value, 0.333);
+  assert.equal(edge(jaccard, "product:a", "product:c"), undefined);
+
+  const cosine = buildGraph(products, { ...options, similarity: "cosine" });
+  assert.equal(edge(cosine, "product:a", "product:b").value, 0.816);
+  assert.equal(edge(cosine, "product:a", "product:d").value, 0.707);
+});
+
+test("the product projection drops weak pairs and keeps each node's top-k", () => {
+  const graph = buildGraph(products, { projection: "products", minSimilarity: 0.4, topK: 5 });
+  assert.deepEqual(
+    graph.edges.map((e) => `${e.from} ${e.to}`),
+    ["product:a product:b", "product:a product:d"]
+  );
+  const top1 = buildGraph(products, { projection: "products", minSimilarity: 0, topK: 1 });
+  assert.ok(!edge(top1, "product:b", "product:d"), "neither B nor D has this pair as its strongest");
+});
+
+test("the tag projection computes count, lift and PMI per pair", () => {
+  const graph = buildGraph(products, { projection: "tags", minSupport: 1, topK: 5 });
+  assert.ok(graph.nodes.every((n) => n.group === "tag"));
+  const { count, lift, pmi } = edge(graph, "tag:x", "tag:y");
+  assert.deepEqual({ count, lift, pmi }, { count: 2, lift: 1.333, pmi: 0.415 });
+  assert.equal(edge(graph, "tag:x", "tag:z").lift, 0.667);
+  assert.equal(edge(graph, "tag:x", "tag:z").pmi, -0.585);
+  assert.equal(edge(graph, "tag:y", "tag:z").pmi, 0);
+  assert.equal(graph.nodes.find((n) => n.id === "tag:x").value, 3);
+});
+
+test("the tag projection ranks by the chosen association and respects min-support", () => {
+  const byLift = buildGraph(products, { projection: "tags", association: "lift", minSupport: 1, topK: 5 });
+  assert.equal(edge(byLift, "tag:x", "tag:y").strength, 1);
+  assert.equal(edge(byLift, "tag:x", "tag:z").strength, 0);
+  const supported = buildGraph(products, { projection: "tags", minSupport: 2, topK: 5 });
+  assert.deepEqual(supported.edges.map((e) => `${e.from} ${e.to}`), ["tag:x tag:y"]);
+});
+
+test("projection options are validated", () => {
+  assert.throws(() => buildGraph(products, { projection: "vendors" }), /Unknown projection 'vendors'/);
+  assert.throws(() => buildGraph(products, { similarity: "dice" }), /Unknown similarity 'dice'/);
+  assert.throws(() => buildGraph(products, { association: "chi2" }), /Unknown association 'chi2'/);
+  assert.throws(() => buildGraph(products, { minSupport: 0 }), /min-support must be a positive integer/);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProducts, buildTagReport, foldAccents } from "../lib/index.mjs";
+
+const report = (rows) => buildTagReport(parseProducts(["Title,Tags", ...rows].join("\n"), { source: "t.csv" }));
+
+test("foldAccents transliterates umlauts and drops other accents", () => {
+  assert.equal(foldAccents("Früchte Straße"), "Fruechte Strasse");
+  assert.equal(foldAccents("Thé Noir"), "The Noir");
+});
+
+test("buildTagReport lists near-duplicates by kind, strongest and most-used first", () => {
+  const text = report([
+    'A,"Bestseller, Früchtetee, Weihnachten"',
+    'B,"bestseller, Früchte Tee, Weinachten"',
+    'C,"Fruechtetee, Früchtetee, WAT:80, WAT:85"',
+  ]);
+  const pairs = text.split("\n").filter((l) => l.includes("↔")).map((l) => l.trim().replace(/\s+/g, " "));
+  assert.deepEqual(pairs, [
+    "case 1.00 Bestseller (1) ↔ bestseller (1) [same node]",
+    "spacing 0.95 Früchtetee (2) ↔ Früchte Tee (1)",
+    "umlaut 0.90 Früchtetee (2) ↔ Fruechtetee (1)",
+    "umlaut 0.90 Früchte Tee (1) ↔ Fruechtetee (1)",
+    "edit 0.77 Weihnachten (1) ↔ Weinachten (1)",
+  ]);
+  assert.ok(!text.includes("WAT:80"), "values differing in digits are not duplicates");
+});
+
+test("buildTagReport lists single-use tags without parsed attribute tags", () => {
+  const text = report(['A,"Japan, Sencha, G:50g"', 'B,"Japan"']);
+  const singles = text.slice(text.indexOf("Tags used by only one product")).split("\n");
+  assert.deepEqual(singles, ["Tags used by only one product (1):", "  Sencha"]);
+});
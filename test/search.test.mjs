@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import vm from "vm";
+import { parseProducts, buildGraph } from "../lib/index.mjs";
+import { SEARCH_SCRIPT, searchWords } from "../lib/search.mjs";
+
+// The page-side search, run outside a page; JSON brings its results back into this realm
+const page = vm.runInNewContext(`${SEARCH_SCRIPT}; ({ parseQuery, createSearch })`);
+const parse = (query) => JSON.parse(JSON.stringify(page.parseQuery(query)));
+const term = (text, group = null) => ({ op: "term", group, words: text.split(" ") });
+
+const csv = fs.readFileSync(new URL("../fixtures/small-catalog.csv", import.meta.url), "utf8");
+const graph = buildGraph(parseProducts(csv).products);
+const byId = new Map(graph.nodes.map((n) => [n.id, n]));
+const neighbours = new Map(graph.nodes.map((n) => [n.id, []]));
+for (const e of graph.edges) {
+  neighbours.get(e.from).push(e.to);
+  neighbours.get(e.to).push(e.from);
+}
+const search = page.createSearch({
+  nodes: () => graph.nodes,
+  node: (id) => byId.get(id),
+  neighbours: (id) => neighbours.get(id),
+});
+const run = (query) => JSON.parse(JSON.stringify(search.run(query)));
+
+test("parseQuery binds OR loosest, then AND, then NOT", () => {
+  assert.deepEqual(parse("a b OR c"), { op: "or", items: [{ op: "and", items: [term("a"), term("b")] }, term("c")] });
+  assert.deepEqual(parse("NOT a b"), { op: "and", items: [{ op: "not", item: term("a") }, term("b")] });
+  assert.deepEqual(parse("-a OR b"), { op: "or", items: [{ op: "not", item: term("a") }, term("b")] });
+  assert.deepEqual(parse("(a OR b) c"), { op: "and", items: [{ op: "or", items: [term("a"), term("b")] }, term("c")] });
+});
+
+test("parseQuery reads qualified phrases, folds accents and takes lower-case operators as words", () => {
+  assert.deepEqual(parse('tag:"Tax 7.7"'), term("tax 7 7", "tag"));
+  assert.deepEqual(parse("tea and cake"), { op: "and", items: [term("tea"), term("and"), term("cake")] });
+  assert.deepEqual(parse("Früchte"), term("fruchte"));
+});
+
+test("parseQuery reads incomplete input as far as it goes", () => {
+  assert.deepEqual(parse("(a OR"), term("a"));
+  assert.deepEqual(parse("a )b"), { op: "and", items: [term("a"), term("b")] });
+  assert.equal(page.parseQuery("NOT"), null);
+  assert.equal(page.parseQuery(""), null);
+});
+
+test("search selects products by title and tags, with typo tolerance", () => {
+  assert.deepEqual(run("Gruntee"), ["product:sencha", "product:matcha"]);
+  assert.deepEqual(run("Schwartee"), ["product:earl-grey"]);
+  assert.deepEqual(run("japan -matcha"), ["product:sencha"]);
+  assert.deepEqual(run("earl OR sencha bestseller"), ["product:earl-grey"]);
+  assert.deepEqual(run("tee"), []);
+  assert.equal(search.run("  "), null);
+});
+
+test("searchWords folds like the page", () => {
+  assert.deepEqual(searchWords("Früchte-Tee, GROSS"), ["fruchte", "tee", "gross"]);
+  assert.deepEqual(searchWords("Straße"), ["strasse"]);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseProducts, buildGraph, layoutGraph, renderSite } from "../lib/index.mjs";
+import { scriptJson } from "../lib/assets.mjs";
+
+const csv = fs.readFileSync(new URL("../fixtures/small-catalog.csv", import.meta.url), "utf8");
+const site = (options) => renderSite(layoutGraph(buildGraph(parseProducts(csv).products)), options);
+const read = (files, name) => JSON.parse(files[`data/${name}`]);
+
+test("renderSite splits the nodes into data files of shardSize", () => {
+  const files = site({ shardSize: 2 });
+  const manifest = read(files, "manifest.json");
+  const shards = manifest.shards.map((s) => read(files, s.file));
+
+  assert.deepEqual(Object.keys(files).sort(), [
+    "data/manifest.json",
+    ...manifest.shards.map((s) => `data/${s.file}`),
+    "index.html",
+  ].sort());
+  assert.ok(shards.every((s) => s.nodes.length <= 2));
+  assert.equal(shards.flatMap((s) => s.nodes).length, manifest.nodeCount);
+  assert.equal(shards.flatMap((s) => s.edges).length, manifest.edgeCount);
+  manifest.shards.forEach((s, i) => {
+    assert.equal(s.bytes, Buffer.byteLength(files[`data/${s.file}`]));
+    assert.equal(s.nodes, shards[i].nodes.length);
+  });
+});
+
+test("each edge sits with its first node, and the search index points at the neighbours' files", () => {
+  const files = site({ shardSize: 2 });
+  const manifest = read(files, "manifest.json");
+  const shards = manifest.shards.map((s) => read(files, s.file));
+  const shardOf = new Map(shards.flatMap((s, i) => s.nodes.map((n) => [n.id, i])));
+  const searchFiles = new Map(shards.flatMap((s) => s.nodes).map((n, i) => [n.id, manifest.search[i][1]]));
+
+  shards.forEach((s, i) =>
+    s.edges.forEach((e) => {
+      assert.equal(shardOf.get(e.from), i);
+      assert.ok(searchFiles.get(e.from).includes(shardOf.get(e.to)));
+      assert.ok(searchFiles.get(e.to).includes(i));
+    })
+  );
+  assert.ok(manifest.search.find(([text]) => text === "sencha")[1].includes(shardOf.get("product:sencha")));
+});
+
+test("the page fetches data/manifest.json instead of embedding the data", () => {
+  const page = site()["index.html"];
+  assert.match(page, /const dataUrl = "data\/manifest\.json";/);
+  assert.match(page, /const initialNodes = \[\];/);
+  assert.match(page, /const initialEdges = \[\];/);
+});
+
+test("scriptJson keeps a hostile title from closing the script block", () => {
+  const value = { title: "</script><script>alert(1)</script>", note: "line\u2028break <!--" };
+  const literal = scriptJson(value);
+  assert.doesNotMatch(literal, /<\/script|<!--|\u2028/);
+  assert.deepEqual(JSON.parse(literal), value);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSynonyms, parseProducts, buildGraph } from "../lib/index.mjs";
+
+test("parseSynonyms maps every variant to one concept labelled in German first", () => {
+  const synonyms = parseSynonyms(
+    JSON.stringify([{ de: ["Schwarztee", "Schwarzer Tee"], fr: "Thé Noir", en: "Black tea" }, { fr: "Verre" }])
+  );
+  const concept = synonyms.get("schwarzer tee");
+  assert.equal(concept.id, "tag:schwarztee");
+  assert.equal(concept.label, "Schwarztee");
+  assert.deepEqual(concept.labels, { de: "Schwarztee", fr: "Thé Noir", en: "Black tea" });
+  assert.equal(synonyms.get("thé noir"), concept);
+  assert.equal(synonyms.get("verre").label, "Verre");
+});
+
+test("parseSynonyms reads CSV with |-separated variants", () => {
+  const synonyms = parseSynonyms("DE,FR,EN\nbelebend|beleben,revigorant,invigorating\n", { format: "csv" });
+  assert.equal(synonyms.get("beleben").id, "tag:belebend");
+  assert.deepEqual(synonyms.get("invigorating").labels, { de: "belebend", fr: "revigorant", en: "invigorating" });
+});
+
+test("parseSynonyms rejects anything but a list", () => {
+  assert.throws(() => parseSynonyms('{ "de": "Japan" }'), /expected an array/);
+});
+
+test("buildGraph folds synonym tags into one concept node with one edge per product", () => {
+  const { products } = parseProducts('Title,Tags\nAssam,"Schwarztee, Black tea"\nEnglish Breakfast,Thé Noir\n');
+  const synonyms = parseSynonyms(JSON.stringify([{ de: "Schwarztee", fr: "Thé Noir", en: "Black tea" }]));
+  const graph = buildGraph(products, { synonyms });
+  const tags = graph.nodes.filter((n) => n.group === "tag");
+  assert.deepEqual(tags.map((n) => n.id), ["tag:schwarztee"]);
+  assert.deepEqual(tags[0].aliases, ["Schwarztee", "Black tea", "Thé Noir"]);
+  assert.deepEqual(tags[0].title[2], ["FR: Thé Noir"]);
+  assert.equal(graph.edges.length, 2);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitTags, idSafe, parseAttributeTag, formatAttribute } from "../lib/index.mjs";
+import { mergeAttribute } from "../lib/tags.mjs";
+
+test("splitTags trims and drops empty tags", () => {
+  assert.deepEqual(splitTags(" Grüntee ,Japan,, bestseller "), ["Grüntee", "Japan", "bestseller"]);
+  assert.deepEqual(splitTags(""), []);
+  assert.deepEqual(splitTags(undefined), []);
+});
+
+test("idSafe lowercases, hyphenates spaces and drops other characters", () => {
+  assert.equal(idSafe("Grüntee"), "grntee");
+  assert.equal(idSafe("Thé vert"), "th-vert");
+  assert.equal(idSafe("Glas & Porzellan"), "glas--porzellan");
+  assert.equal(idSafe("  WAT:80-90 "), "wat:80-90");
+  assert.equal(idSafe("</script>"), "script");
+});
+
+test("parseAttributeTag reads ranges, grams, counts and text", () => {
+  assert.deepEqual(parseAttributeTag("WAT:80-90"), { key: "waterTemp", value: { min: 80, max: 90 } });
+  assert.deepEqual(parseAttributeTag("zd: 2 – 3 min"), { key: "steepTime", value: { min: 2, max: 3 } });
+  assert.deepEqual(parseAttributeTag("G:ca. 357g"), { key: "weight", value: 357 });
+  assert.deepEqual(parseAttributeTag("GG: 250g"), { key: "grossWeight", value: 250 });
+  assert.deepEqual(parseAttributeTag("STK:15stk"), { key: "pieces", value: 15 });
+  assert.deepEqual(parseAttributeTag("H: Schweiz"), { key: "origin", value: "Schweiz" });
+});
+
+test("parseAttributeTag handles the irregular tags from the London Tea export", () => {
+  assert.deepEqual(parseAttributeTag("G: Inhalt 15 Pyramidenbeutel"), { key: "pieces", value: 15 });
+  assert.deepEqual(parseAttributeTag("G: Inhalt 25 Stk Teebeutel"), { key: "pieces", value: 25 });
+  assert.deepEqual(parseAttributeTag("G:25stk"), { key: "pieces", value: 25 });
+  assert.deepEqual(parseAttributeTag("G:30"), { key: "weight", value: 30 });
+  assert.deepEqual(parseAttributeTag("ZD:0.9/0.3"), { key: "steepTime", value: { min: 0.3, max: 0.9 } });
+});
+
+test("parseAttributeTag leaves unknown keys and unparsable values as tags", () => {
+  assert.equal(parseAttributeTag("Grüntee"), null);
+  assert.equal(parseAttributeTag("XY:12"), null);
+  assert.equal(parseAttributeTag("ZD: lang"), null);
+});
+
+test("mergeAttribute widens repeated numbers into a range and joins text", () => {
+  assert.equal(mergeAttribute(undefined, 50), 50);
+  assert.equal(mergeAttribute(50, 50), 50);
+  assert.deepEqual(mergeAttribute(50, 100), { min: 50, max: 100 });
+  assert.deepEqual(mergeAttribute({ min: 70, max: 80 }, { min: 60, max: 75 }), { min: 60, max: 80 });
+  assert.deepEqual(mergeAttribute({ min: 50, max: 100 }, 250), { min: 50, max: 250 });
+  assert.equal(mergeAttribute("Japan", "China"), "Japan / China");
+  assert.equal(mergeAttribute("Japan / China", "Japan"), "Japan / China");
+});
+
+test("formatAttribute prints label, value and unit", () => {
+  assert.equal(formatAttribute("waterTemp", { min: 70, max: 80 }), "Water temperature: 70–80 °C");
+  assert.equal(formatAttribute("weight", { min: 50, max: 50 }), "Net weight: 50 g");
+  assert.equal(formatAttribute("Tax class", "7.7"), "Tax class: 7.7");
+});